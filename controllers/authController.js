@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const { queueEmail } = require('../services/emailService');
 
 /**
  * @desc    Register a new user
@@ -19,7 +20,7 @@ const User = require('../models/User');
  */
 exports.register = async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, hotelIds } = req.body;
 
     // Create user
     const user = await User.create({
@@ -27,7 +28,9 @@ exports.register = async (req, res, next) => {
       email,
       password,
       // Only set role if it's provided and user is an admin
-      ...(role && req.user?.role === 'admin' ? { role } : {})
+      ...(role && req.user?.role === 'admin' ? { role } : {}),
+      // Likewise only admins can assign staff to hotels
+      ...(hotelIds && req.user?.role === 'admin' ? { hotelIds } : {})
     });
 
     // Generate token and send response
@@ -199,6 +202,115 @@ exports.updatePassword = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Success message, whether or not the email is registered
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "email": "john@example.com"
+ * }
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    if (!req.body.email) {
+      res.status(400);
+      throw new Error('Please provide an email');
+    }
+
+    // Links are only built from configured URLs; the Host header is up to the
+    // caller, who could otherwise have the token mailed to their own domain
+    const resetUrlTemplate = process.env.RESET_PASSWORD_URL ||
+      (process.env.APP_URL && `${process.env.APP_URL}/reset-password.html?token=:token`);
+
+    if (!resetUrlTemplate) {
+      console.error('Password reset is not configured: set APP_URL or RESET_PASSWORD_URL');
+      res.status(500);
+      throw new Error('Password reset is not available');
+    }
+
+    const expiresInMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+    const user = await User.findOne({ email: req.body.email });
+
+    // Answer the same either way so the endpoint can't reveal who has an account
+    if (user) {
+      const token = user.getResetPasswordToken(expiresInMinutes);
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = resetUrlTemplate.replace(':token', token);
+
+      await queueEmail({
+        to: user.email,
+        template: 'password_reset',
+        data: {
+          user,
+          resetUrl,
+          expiresInMinutes
+        },
+        relatedId: user._id,
+        relatedType: 'user'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { message: 'If that email is registered, a password reset link has been sent' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set a new password with an emailed reset token
+ * @route   PUT /api/auth/reset-password/:token
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} User data with token
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "password": "654321"
+ * }
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    if (!req.body.password) {
+      res.status(400);
+      throw new Error('Please provide a new password');
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashResetToken(req.params.token),
+      resetPasswordExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      res.status(400);
+      throw new Error('Password reset link is invalid or has expired');
+    }
+
+    // Each link works once
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    sendTokenResponse(user, 200, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Helper function to get token from model, create cookie and send response
  * @param {Object} user - User document from MongoDB
@@ -1,6 +1,26 @@
 const Booking = require('../models/Booking');
 const Room = require('../models/Room');
 const Hotel = require('../models/Hotel');
+const RoomNight = require('../models/RoomNight');
+const Coupon = require('../models/Coupon');
+const BookingHistory = require('../models/BookingHistory');
+const Notification = require('../models/Notification');
+const { getNights, startOfUTCDay, getStayDateError } = require('../utils/dateUtils');
+const { calculateRefund, mergePolicies } = require('../utils/cancellationPolicy');
+const {
+  calculateDeposit,
+  chargePayment,
+  capturePayment,
+  refundPayment,
+  voidPayment,
+  updatePaymentSummary
+} = require('../services/paymentService');
+const { buildQuote, findCoupon } = require('../services/pricingService');
+const { convertQuote } = require('../services/currencyService');
+const { queueBookingEmail } = require('../services/emailService');
+
+const DEFAULT_HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || 15;
+const MAX_HOLD_MINUTES = 60;
 
 /**
  * @desc    Create a new booking
@@ -12,75 +32,163 @@ const Hotel = require('../models/Hotel');
  * @returns {Object} Created booking data
  * 
  * @example
- * // Request body
+ * // Request body; instead of a roomId, pass a hotelId and roomType to
+ * // have the cheapest free room of that type assigned
  * {
  *   "roomId": "60d0fe4f5311236168a109ca",
  *   "startDate": "2023-09-01",
  *   "endDate": "2023-09-05",
  *   "guestCount": 2,
- *   "specialRequests": "Late check-in, around 10 PM"
+ *   "specialRequests": "Late check-in, around 10 PM",
+ *   "ratePlan": "BB",
+ *   "promoCode": "SUMMER10",
+ *   "currency": "EUR",
+ *   "paymentMethod": "credit_card",
+ *   "paymentToken": "tok_visa"
  * }
  */
 exports.createBooking = async (req, res, next) => {
   try {
-    const { roomId, startDate, endDate, guestCount, specialRequests } = req.body;
+    const booking = await placeBooking(req, res, { status: 'confirmed' });
 
-    // Check if room exists
-    const room = await Room.findById(roomId);
-    
-    if (!room) {
+    res.status(201).json({
+      success: true,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Hold a room while the guest completes payment
+ * @route   POST /api/bookings/hold
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Pending booking data with its expiry time
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "roomId": "60d0fe4f5311236168a109ca",
+ *   "startDate": "2023-09-01",
+ *   "endDate": "2023-09-05",
+ *   "guestCount": 2,
+ *   "holdMinutes": 15
+ * }
+ */
+exports.holdBooking = async (req, res, next) => {
+  try {
+    const holdMinutes = parseInt(req.body.holdMinutes, 10) || DEFAULT_HOLD_MINUTES;
+
+    if (holdMinutes < 1 || holdMinutes > MAX_HOLD_MINUTES) {
+      res.status(400);
+      throw new Error(`Hold duration must be between 1 and ${MAX_HOLD_MINUTES} minutes`);
+    }
+
+    const booking = await placeBooking(req, res, {
+      status: 'pending',
+      holdExpiresAt: new Date(Date.now() + holdMinutes * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pay for and confirm a booking hold
+ * @route   PUT /api/bookings/:id/confirm
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Confirmed booking data
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "paymentMethod": "credit_card",
+ *   "paymentToken": "tok_visa"
+ * }
+ */
+exports.confirmBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
       res.status(404);
-      throw new Error(`Room not found with id of ${roomId}`);
+      throw new Error(`Booking not found with id of ${req.params.id}`);
     }
 
-    // Check if room is available for the dates
-    const isAvailable = await room.isAvailableForDates(startDate, endDate);
-    
-    if (!isAvailable) {
-      res.status(400);
-      throw new Error('Room is not available for the selected dates');
+    // Make sure user is booking owner or admin
+    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to confirm this booking`);
     }
 
-    // Check if guest count is valid
-    if (guestCount > room.maxGuests) {
+    if (booking.status !== 'pending') {
       res.status(400);
-      throw new Error(`Room can only accommodate ${room.maxGuests} guests`);
+      throw new Error(`Cannot confirm a ${booking.status} booking`);
     }
 
-    // Calculate total price
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const diffTime = Math.abs(end - start);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    const totalPrice = diffDays * room.pricePerNight;
+    if (booking.holdExpiresAt <= new Date()) {
+      res.status(409);
+      throw new Error('Booking hold has expired');
+    }
 
-    // Create booking
-    const booking = await Booking.create({
-      userId: req.user.id,
-      roomId,
-      hotelId: room.hotelId,
-      startDate,
-      endDate,
-      guestCount,
-      specialRequests,
-      totalPrice,
-      status: 'confirmed'
-    });
+    const previous = BookingHistory.snapshot(booking);
+    const charge = getDepositCharge(booking);
+    const payment = await chargePayment(booking, req.body, charge.amount, charge.kind);
 
-    // Populate booking with room and hotel details
-    const populatedBooking = await Booking.findById(booking._id)
-      .populate({
-        path: 'roomId',
-        select: 'roomType roomNumber pricePerNight'
-      })
-      .populate({
-        path: 'hotelId',
-        select: 'name location'
+    if (!payment.success) {
+      await Booking.updateOne({ _id: booking._id }, { paymentInfo: booking.paymentInfo });
+      await BookingHistory.recordChanges(booking, previous, {
+        actor: req.user.id,
+        reason: `Payment failed: ${payment.message}`
       });
+      res.status(402);
+      throw new Error(`Payment failed: ${payment.message}`);
+    }
 
-    res.status(201).json({
+    // Conditional update so a hold cannot be confirmed and swept at once
+    const confirmedBooking = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending', holdExpiresAt: { $gt: new Date() } },
+      {
+        status: 'confirmed',
+        paymentInfo: booking.paymentInfo,
+        $unset: { holdExpiresAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!confirmedBooking) {
+      await refundPayment(booking, booking.paymentInfo.amountPaid);
+      await Booking.updateOne({ _id: booking._id }, { paymentInfo: booking.paymentInfo });
+      await BookingHistory.recordChanges(booking, previous, {
+        actor: req.user.id,
+        reason: 'Hold expired before confirmation; payment refunded'
+      });
+      res.status(409);
+      throw new Error('Booking hold has expired');
+    }
+
+    await BookingHistory.recordChanges(confirmedBooking, previous, {
+      actor: req.user.id,
+      reason: 'Hold confirmed'
+    });
+    await Notification.notifyBooking(confirmedBooking, 'booking_confirmed');
+    await queueBookingEmail(confirmedBooking, 'booking_confirmation');
+
+    res.status(200).json({
       success: true,
-      data: populatedBooking
+      data: confirmedBooking
     });
   } catch (error) {
     next(error);
@@ -126,7 +234,7 @@ exports.getMyBookings = async (req, res, next) => {
  * @param   {Object} req - Express request object
  * @param   {Object} res - Express response object
  * @param   {Function} next - Express next function
- * @returns {Object} Array of bookings
+ * @returns {Object} Array of bookings with revenue, tax and fee totals
  */
 exports.getAllBookings = async (req, res, next) => {
   try {
@@ -184,6 +292,26 @@ exports.getAllBookings = async (req, res, next) => {
     // Execute query
     const bookings = await query;
 
+    // Room revenue, taxes and fees across all matching bookings; aggregate
+    // doesn't cast, so cast the filter through a query first
+    const [sums] = await Booking.aggregate([
+      { $match: Booking.find(JSON.parse(queryStr)).cast() },
+      {
+        $group: {
+          _id: null,
+          subtotal: { $sum: '$subtotal' },
+          taxTotal: { $sum: '$taxTotal' },
+          feeTotal: { $sum: '$feeTotal' },
+          totalPrice: { $sum: '$totalPrice' }
+        }
+      }
+    ]);
+    const totals = {};
+
+    ['subtotal', 'taxTotal', 'feeTotal', 'totalPrice'].forEach(key => {
+      totals[key] = sums ? Math.round(sums[key] * 100) / 100 : 0;
+    });
+
     // Pagination result
     const pagination = {};
 
@@ -205,6 +333,7 @@ exports.getAllBookings = async (req, res, next) => {
       success: true,
       count: bookings.length,
       pagination,
+      totals,
       data: bookings
     });
   } catch (error) {
@@ -253,6 +382,235 @@ exports.getBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the status and payment history of a booking
+ * @route   GET /api/bookings/:id/history
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} History entries, oldest first
+ */
+exports.getBookingHistory = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      res.status(404);
+      throw new Error(`Booking not found with id of ${req.params.id}`);
+    }
+
+    // Make sure user is booking owner or admin
+    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to access this booking`);
+    }
+
+    const history = await BookingHistory.find({ bookingId: booking._id })
+      .populate({
+        path: 'actor',
+        select: 'name role'
+      })
+      .sort('createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Modify booking dates, guest count or room
+ * @route   PUT /api/bookings/:id
+ * @route   PATCH /api/bookings/:id
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated booking data with the price difference
+ * 
+ * @example
+ * // Request body (all fields optional)
+ * {
+ *   "roomId": "60d0fe4f5311236168a109cb",
+ *   "startDate": "2023-09-02",
+ *   "endDate": "2023-09-06",
+ *   "guestCount": 3
+ * }
+ */
+exports.updateBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      res.status(404);
+      throw new Error(`Booking not found with id of ${req.params.id}`);
+    }
+
+    // Make sure user is booking owner or admin
+    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to modify this booking`);
+    }
+
+    if (booking.status !== 'confirmed') {
+      res.status(400);
+      throw new Error(`Cannot modify a ${booking.status} booking`);
+    }
+
+    if (new Date(booking.startDate) < new Date()) {
+      res.status(400);
+      throw new Error('Cannot modify a booking that has already started or completed');
+    }
+
+    const previous = {
+      roomId: booking.roomId,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      guestCount: booking.guestCount
+    };
+    const previousState = BookingHistory.snapshot(booking);
+
+    const roomId = req.body.roomId || previous.roomId;
+    const startDate = req.body.startDate || previous.startDate;
+    const endDate = req.body.endDate || previous.endDate;
+    const guestCount = req.body.guestCount || previous.guestCount;
+
+    const dateError = getStayDateError(startDate, endDate);
+
+    if (dateError) {
+      res.status(400);
+      throw new Error(dateError);
+    }
+
+    const room = await Room.findById(roomId);
+
+    if (!room) {
+      res.status(404);
+      throw new Error(`Room not found with id of ${roomId}`);
+    }
+
+    if (guestCount > room.maxGuests) {
+      res.status(400);
+      throw new Error(`Room can only accommodate ${room.maxGuests} guests`);
+    }
+
+    // Check hotel and room stay restrictions
+    const restrictionViolation = await room.getStayRestrictionViolation(startDate, endDate);
+
+    if (restrictionViolation) {
+      res.status(400);
+      throw new Error(restrictionViolation);
+    }
+
+    // Keep the booked rate plan, which must also exist on a new room
+    const ratePlanCode = booking.ratePlan && booking.ratePlan.code;
+    const ratePlan = ratePlanCode ? room.findRatePlan(ratePlanCode) : null;
+
+    if (ratePlanCode && !ratePlan) {
+      res.status(400);
+      throw new Error(`Rate plan ${ratePlanCode} is not available for this room`);
+    }
+
+    // A promo code already redeemed stays applied while the stay remains in its scope
+    const coupon = booking.coupon && booking.coupon.couponId
+      ? await Coupon.findById(booking.coupon.couponId)
+      : null;
+
+    if (coupon) {
+      const scopeViolation = coupon.getScopeViolation({
+        room,
+        nights: getNights(startDate, endDate).length
+      });
+
+      if (scopeViolation) {
+        res.status(400);
+        throw new Error(scopeViolation);
+      }
+    }
+
+    const previousTotalPrice = booking.totalPrice;
+    const quote = await buildQuote(room, { startDate, endDate, guestCount, ratePlan, coupon });
+    const { totalPrice } = quote;
+
+    // Keep showing the guest's currency, at today's rate
+    const displayQuote = booking.displayCurrency
+      ? await convertQuote(quote, booking.displayCurrency)
+      : null;
+
+    booking.set({
+      roomId: room._id,
+      hotelId: room.hotelId,
+      roomType: room.roomType,
+      startDate,
+      endDate,
+      guestCount,
+      ...getPriceFields(quote),
+      ...getDisplayPriceFields(displayQuote),
+      ratePlan: getRatePlanSnapshot(ratePlan),
+      // Remind the guest again ahead of the new dates
+      upcomingStayNotifiedAt: undefined
+    });
+    booking.modifications.push({
+      previous,
+      previousTotalPrice,
+      newTotalPrice: totalPrice,
+      priceDifference: totalPrice - previousTotalPrice,
+      modifiedBy: req.user.id
+    });
+    updatePaymentSummary(booking);
+
+    await booking.validate();
+
+    // Claim the new nights; nights the booking already holds are kept
+    const isReserved = room.isAvailable &&
+      await RoomNight.reserve(room._id, booking._id, startDate, endDate);
+
+    if (!isReserved) {
+      res.status(409);
+      throw new Error('Room is not available for the selected dates');
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      await RoomNight.releaseOutside(booking._id, previous.roomId, previous.startDate, previous.endDate);
+      throw error;
+    }
+
+    // Free the nights that are no longer part of the stay
+    await RoomNight.releaseOutside(booking._id, room._id, startDate, endDate);
+
+    await BookingHistory.recordChanges(booking, previousState, {
+      actor: req.user.id,
+      reason: 'Booking modified'
+    });
+    await Notification.notifyBooking(booking, 'booking_modified');
+
+    const populatedBooking = await Booking.findById(booking._id)
+      .populate({
+        path: 'roomId',
+        select: 'roomType roomNumber pricePerNight'
+      })
+      .populate({
+        path: 'hotelId',
+        select: 'name location'
+      });
+
+    res.status(200).json({
+      success: true,
+      priceDifference: totalPrice - previousTotalPrice,
+      data: populatedBooking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Cancel booking
  * @route   PUT /api/bookings/:id/cancel
@@ -260,7 +618,13 @@ exports.getBooking = async (req, res, next) => {
  * @param   {Object} req - Express request object
  * @param   {Object} res - Express response object
  * @param   {Function} next - Express next function
- * @returns {Object} Updated booking data
+ * @returns {Object} Updated booking data with the refund breakdown
+ * 
+ * @example
+ * // Request body (optional)
+ * {
+ *   "reason": "Change of travel plans"
+ * }
  */
 exports.cancelBooking = async (req, res, next) => {
   try {
@@ -277,10 +641,10 @@ exports.cancelBooking = async (req, res, next) => {
       throw new Error(`User ${req.user.id} is not authorized to cancel this booking`);
     }
 
-    // Check if booking is already cancelled
-    if (booking.status === 'cancelled') {
+    // Check if booking is already cancelled or its hold has lapsed
+    if (['cancelled', 'expired'].includes(booking.status)) {
       res.status(400);
-      throw new Error('Booking is already cancelled');
+      throw new Error(`Booking is already ${booking.status}`);
     }
 
     // Check if booking is in the past
@@ -289,15 +653,829 @@ exports.cancelBooking = async (req, res, next) => {
       throw new Error('Cannot cancel a booking that has already started or completed');
     }
 
-    // Update booking status
+    const previous = BookingHistory.snapshot(booking);
+
+    // Apply the hotel's cancellation policy, as overridden by the booked rate
+    // plan; unconfirmed holds were never paid. A deleted hotel leaves the
+    // default policy.
+    const hotel = await Hotel.findById(booking.hotelId);
+    const policy = mergePolicies(
+      (hotel && hotel.cancellationPolicy) || {},
+      (booking.ratePlan && booking.ratePlan.cancellationPolicy) || {}
+    );
+    const cancelledAt = new Date();
+    const refund = booking.status === 'confirmed'
+      ? calculateRefund(booking, policy, cancelledAt)
+      : { totalPrice: booking.totalPrice, penaltyAmount: 0, refundAmount: 0 };
+
+    // Release uncaptured authorizations and return the money through the
+    // gateway that took it
+    let payment = null;
+
+    if (booking.paymentInfo.payments.some(entry => entry.status === 'authorized')) {
+      payment = await voidPayment(booking);
+    }
+
+    if ((!payment || payment.success) && refund.refundAmount > 0 && refund.amountPaid > 0) {
+      payment = await refundPayment(booking, refund.refundAmount);
+    }
+
+    if (payment && !payment.success) {
+      await booking.save();
+      await BookingHistory.recordChanges(booking, previous, {
+        actor: req.user.id,
+        reason: `Refund failed: ${payment.message}`
+      });
+      res.status(502);
+      throw new Error(`Refund failed: ${payment.message}`);
+    }
+
+    // Update booking status and free the room-nights
     booking.status = 'cancelled';
+    booking.cancellation = {
+      cancelledAt,
+      cancelledBy: req.user.id,
+      penaltyAmount: refund.penaltyAmount,
+      refundAmount: refund.refundAmount
+    };
+    updatePaymentSummary(booking);
     await booking.save();
+    await RoomNight.release(booking._id);
+    await BookingHistory.recordChanges(booking, previous, {
+      actor: req.user.id,
+      reason: req.body.reason || 'Booking cancelled'
+    });
+    await Notification.notifyBooking(booking, 'booking_cancelled');
+    await queueBookingEmail(booking, 'booking_cancellation');
+
+    // Give the promo code use back
+    if (booking.coupon && booking.coupon.couponId) {
+      await Coupon.releaseRedemption(booking.coupon.couponId, booking.userId);
+    }
 
     res.status(200).json({
       success: true,
+      refund,
       data: booking
     });
   } catch (error) {
     next(error);
   }
+};
+
+/**
+ * @desc    Check a guest in
+ * @route   PUT /api/bookings/:id/check-in
+ * @access  Private/Staff
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated booking data
+ * 
+ * @example
+ * // Request body (optional); moves the guest to another free room of the
+ * // booked type, e.g. when the assigned room is not ready
+ * {
+ *   "roomId": "60d0fe4f5311236168a109cb"
+ * }
+ */
+exports.checkIn = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      res.status(404);
+      throw new Error(`Booking not found with id of ${req.params.id}`);
+    }
+
+    if (!req.user.worksAtHotel(booking.hotelId)) {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to check in guests at this hotel`);
+    }
+
+    if (booking.status !== 'confirmed') {
+      res.status(400);
+      throw new Error(`Cannot check in a ${booking.status} booking`);
+    }
+
+    // Guests can arrive any time from the check-in day until check-out
+    const now = new Date();
+
+    if (now < startOfUTCDay(booking.startDate)) {
+      res.status(400);
+      throw new Error('Cannot check in before the check-in date');
+    }
+
+    if (now >= new Date(booking.endDate)) {
+      res.status(400);
+      throw new Error('Cannot check in after the check-out date');
+    }
+
+    // The room must have been cleaned; staff can pick another clean room
+    // of the same type instead
+    const room = await Room.findById(req.body.roomId || booking.roomId);
+
+    if (room && !room.isReadyForGuest()) {
+      res.status(400);
+      throw new Error(`Room ${room.roomNumber} is ${room.housekeeping.status} and must be clean before check-in`);
+    }
+
+    // Snapshot first so the history shows the room the guest had before a move
+    const previous = BookingHistory.snapshot(booking);
+
+    if (req.body.roomId && req.body.roomId !== booking.roomId.toString()) {
+      await moveToRoom(booking, req.body.roomId, req, res);
+    }
+
+    booking.status = 'checked_in';
+    booking.checkedInAt = now;
+    booking.checkedInBy = req.user.id;
+    await booking.save();
+
+    await BookingHistory.recordChanges(booking, previous, {
+      actor: req.user.id,
+      reason: 'Guest checked in'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check a guest out once the balance is paid
+ * @route   PUT /api/bookings/:id/check-out
+ * @access  Private/Staff
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated booking data
+ */
+exports.checkOut = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      res.status(404);
+      throw new Error(`Booking not found with id of ${req.params.id}`);
+    }
+
+    if (!req.user.worksAtHotel(booking.hotelId)) {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to check out guests at this hotel`);
+    }
+
+    if (booking.status !== 'checked_in') {
+      res.status(400);
+      throw new Error(`Cannot check out a ${booking.status} booking`);
+    }
+
+    if (booking.hasOutstandingBalance()) {
+      res.status(400);
+      throw new Error(`A balance of ${booking.paymentInfo.balanceDue} must be paid before check-out`);
+    }
+
+    const previous = BookingHistory.snapshot(booking);
+    const now = new Date();
+
+    booking.status = 'completed';
+    booking.checkedOutAt = now;
+    booking.checkedOutBy = req.user.id;
+    await booking.save();
+
+    // Leaving early frees the nights that will not be used
+    await RoomNight.releaseOutside(booking._id, booking.roomId, booking.startDate, now);
+
+    // The room needs cleaning before the next guest
+    await Room.updateOne(
+      { _id: booking.roomId },
+      { housekeeping: { status: 'dirty', updatedAt: now, updatedBy: req.user.id } }
+    );
+
+    await BookingHistory.recordChanges(booking, previous, {
+      actor: req.user.id,
+      reason: 'Guest checked out'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a booking to another room of the same type
+ * @route   PUT /api/bookings/:id/room
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated booking data
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "roomId": "60d0fe4f5311236168a109cb"
+ * }
+ */
+exports.reassignRoom = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      res.status(404);
+      throw new Error(`Booking not found with id of ${req.params.id}`);
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      res.status(400);
+      throw new Error(`Cannot reassign the room of a ${booking.status} booking`);
+    }
+
+    if (!req.body.roomId) {
+      res.status(400);
+      throw new Error('Please add a room ID');
+    }
+
+    await moveToRoom(booking, req.body.roomId, req, res);
+
+    const populatedBooking = await Booking.findById(booking._id)
+      .populate({
+        path: 'roomId',
+        select: 'roomType roomNumber pricePerNight'
+      })
+      .populate({
+        path: 'hotelId',
+        select: 'name location'
+      });
+
+    res.status(200).json({
+      success: true,
+      data: populatedBooking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pay towards a booking's balance
+ * @route   POST /api/bookings/:id/payments
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated booking data
+ * 
+ * @example
+ * // Request body; amount defaults to the full balance due
+ * {
+ *   "amount": 450,
+ *   "paymentMethod": "credit_card",
+ *   "paymentToken": "tok_visa"
+ * }
+ */
+exports.addPayment = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      res.status(404);
+      throw new Error(`Booking not found with id of ${req.params.id}`);
+    }
+
+    // Make sure user is booking owner, or staff taking payment at the hotel's desk
+    if (booking.userId.toString() !== req.user.id && !req.user.worksAtHotel(booking.hotelId)) {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to pay for this booking`);
+    }
+
+    if (!['confirmed', 'checked_in'].includes(booking.status)) {
+      res.status(400);
+      throw new Error(`Cannot take payment for a ${booking.status} booking`);
+    }
+
+    const { balanceDue } = booking.paymentInfo;
+
+    if (!(balanceDue > 0)) {
+      res.status(400);
+      throw new Error('Booking has no balance due');
+    }
+
+    const amount = req.body.amount === undefined ? balanceDue : Number(req.body.amount);
+
+    if (!(amount > 0) || amount > balanceDue) {
+      res.status(400);
+      throw new Error(`Payment amount must be between 0 and ${balanceDue}`);
+    }
+
+    const previous = BookingHistory.snapshot(booking);
+    const payment = await chargePayment(
+      booking,
+      req.body,
+      amount,
+      amount === balanceDue ? 'balance' : 'additional'
+    );
+
+    // Keep the failed attempt on record before reporting it
+    await booking.save();
+    await BookingHistory.recordChanges(booking, previous, {
+      actor: req.user.id,
+      reason: payment.success ? 'Payment received' : `Payment failed: ${payment.message}`
+    });
+
+    if (!payment.success) {
+      res.status(402);
+      throw new Error(`Payment failed: ${payment.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Capture, refund or void a booking payment
+ * @route   PUT /api/bookings/:id/payment
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated booking data
+ * 
+ * @example
+ * // Request body; capture and void act on the latest authorized payment
+ * // unless a paymentId is given
+ * {
+ *   "action": "refund",
+ *   "amount": 50,
+ *   "reason": "Goodwill refund for noisy room"
+ * }
+ */
+exports.updatePayment = async (req, res, next) => {
+  try {
+    const { action, amount, paymentId, reason } = req.body;
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      res.status(404);
+      throw new Error(`Booking not found with id of ${req.params.id}`);
+    }
+
+    if (!booking.paymentInfo.transactionId) {
+      res.status(400);
+      throw new Error('Booking has no payment to update');
+    }
+
+    const previous = BookingHistory.snapshot(booking);
+    let payment;
+
+    switch (action) {
+      case 'capture':
+        payment = await capturePayment(booking, findAuthorizedPayment(booking, paymentId, res));
+        break;
+      case 'void':
+        payment = await voidPayment(booking, findAuthorizedPayment(booking, paymentId, res));
+        break;
+      case 'refund': {
+        const refundable = booking.paymentInfo.amountPaid;
+        const refundAmount = amount === undefined ? refundable : Number(amount);
+
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+          res.status(400);
+          throw new Error(`Refund amount must be between 0 and ${refundable}`);
+        }
+
+        payment = await refundPayment(booking, refundAmount);
+        break;
+      }
+      default:
+        res.status(400);
+        throw new Error('Action must be one of capture, refund or void');
+    }
+
+    // Keep the failed attempt on record before reporting it
+    await booking.save();
+    await BookingHistory.recordChanges(booking, previous, {
+      actor: req.user.id,
+      reason: reason || `Payment ${action}`
+    });
+
+    if (!payment.success) {
+      res.status(402);
+      throw new Error(`Payment ${action} failed: ${payment.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper function to pick the fields a booking stores from a price quote
+ * @param {Object} quote - Quote from the pricing service
+ * @returns {Object} Booking price fields
+ */
+const getPriceFields = (quote) => ({
+  currency: quote.currency,
+  nightlyRates: quote.nightlyRates,
+  subtotal: quote.subtotal,
+  discounts: quote.discounts,
+  taxes: quote.taxes,
+  fees: quote.fees,
+  discountTotal: quote.discountTotal,
+  taxTotal: quote.taxTotal,
+  feeTotal: quote.feeTotal,
+  totalPrice: quote.totalPrice
+});
+
+/**
+ * Helper function to pick the display currency fields a booking stores
+ * @param {Object|null} displayQuote - Quote converted by the currency service
+ * @returns {Object} Booking display currency fields
+ */
+const getDisplayPriceFields = (displayQuote) => ({
+  displayCurrency: displayQuote ? displayQuote.currency : undefined,
+  exchangeRate: displayQuote ? displayQuote.exchangeRate : undefined,
+  displayTotalPrice: displayQuote ? displayQuote.totalPrice : undefined
+});
+
+/**
+ * Helper function to copy the booked rate plan onto a booking
+ * @param {Object|null} ratePlan - Room rate plan, or null for the standard rate
+ * @returns {Object|undefined} Rate plan snapshot
+ */
+const getRatePlanSnapshot = (ratePlan) => {
+  if (!ratePlan) {
+    return undefined;
+  }
+
+  return {
+    code: ratePlan.code,
+    name: ratePlan.name,
+    inclusions: ratePlan.inclusions,
+    cancellationPolicy: ratePlan.cancellationPolicy
+  };
+};
+
+/**
+ * Helper function to work out the first charge for a booking
+ * @param {Object} booking - Booking document with its deposit amount
+ * @returns {Object} Amount to charge and the kind of payment it is
+ */
+const getDepositCharge = (booking) => {
+  const { depositAmount } = booking.paymentInfo;
+  const amount = depositAmount === undefined ? booking.totalPrice : depositAmount;
+
+  return {
+    amount,
+    kind: amount < booking.totalPrice ? 'deposit' : 'full'
+  };
+};
+
+/**
+ * Helper function to find the authorized payment an admin action targets
+ * @param {Object} booking - Booking document
+ * @param {String} [paymentId] - Payment to act on; defaults to the latest authorization
+ * @param {Object} res - Express response object
+ * @returns {Object} Authorized payment
+ */
+const findAuthorizedPayment = (booking, paymentId, res) => {
+  const payment = paymentId
+    ? booking.paymentInfo.payments.id(paymentId)
+    : booking.paymentInfo.payments.filter(entry => entry.status === 'authorized').pop();
+
+  if (!payment || payment.status !== 'authorized') {
+    res.status(400);
+    throw new Error('Booking has no authorized payment to update');
+  }
+
+  return payment;
+};
+
+/**
+ * Helper function to list the free rooms of the requested type, cheapest
+ * first, so the next one can be tried when another guest wins a room
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Array>} Rooms to try, in order
+ */
+const findRoomsOfType = async (req, res) => {
+  const { hotelId, roomType, startDate, endDate, guestCount } = req.body;
+  const ratePlanCode = req.body.ratePlan;
+
+  if (!hotelId || !roomType) {
+    res.status(400);
+    throw new Error('Please add a room ID, or a hotel ID and room type');
+  }
+
+  const rooms = await Room.findAvailable(
+    { hotelId, roomType, maxGuests: { $gte: guestCount || 1 } },
+    startDate,
+    endDate
+  );
+  const candidates = rooms.filter(candidate => !ratePlanCode || candidate.findRatePlan(ratePlanCode));
+
+  if (!candidates.length) {
+    res.status(409);
+    throw new Error(`No ${roomType} rooms are available for the selected dates`);
+  }
+
+  return candidates;
+};
+
+/**
+ * Helper function to move a booking to another room of the same type,
+ * reserving the new room's nights before freeing the old ones
+ * @param {Object} booking - Booking document
+ * @param {String} roomId - Room to move to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Saved booking
+ */
+const moveToRoom = async (booking, roomId, req, res) => {
+  const room = await Room.findById(roomId);
+
+  if (!room) {
+    res.status(404);
+    throw new Error(`Room not found with id of ${roomId}`);
+  }
+
+  const currentRoom = await Room.findById(booking.roomId).select('roomType');
+  const roomType = booking.roomType || (currentRoom && currentRoom.roomType);
+
+  if (room.hotelId.toString() !== booking.hotelId.toString() || room.roomType !== roomType) {
+    res.status(400);
+    throw new Error(`Booking can only move to another ${roomType} room at the same hotel`);
+  }
+
+  if (booking.guestCount > room.maxGuests) {
+    res.status(400);
+    throw new Error(`Room can only accommodate ${room.maxGuests} guests`);
+  }
+
+  const isReserved = room.isAvailable &&
+    await RoomNight.reserve(room._id, booking._id, booking.startDate, booking.endDate);
+
+  if (!isReserved) {
+    res.status(409);
+    throw new Error('Room is not available for the booked dates');
+  }
+
+  const previousRoomId = booking.roomId;
+
+  booking.set({
+    roomId: room._id,
+    roomType: room.roomType,
+    roomAssignment: {
+      method: 'reassigned',
+      assignedAt: new Date(),
+      assignedBy: req.user.id
+    }
+  });
+
+  try {
+    await booking.save();
+  } catch (error) {
+    await RoomNight.releaseOutside(booking._id, previousRoomId, booking.startDate, booking.endDate);
+    throw error;
+  }
+
+  // Free the old room's nights
+  await RoomNight.releaseOutside(booking._id, room._id, booking.startDate, booking.endDate);
+
+  return booking;
+};
+
+/**
+ * Helper function to validate a booking request, reserve its room-nights
+ * and save it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} attributes - Extra booking fields such as the status
+ * @returns {Promise<Object>} Saved booking populated with room and hotel details
+ */
+const placeBooking = async (req, res, attributes) => {
+  const { roomId, startDate, endDate } = req.body;
+
+  if (!startDate || !endDate) {
+    res.status(400);
+    throw new Error('Please provide start and end dates');
+  }
+
+  const dateError = getStayDateError(startDate, endDate);
+
+  if (dateError) {
+    res.status(400);
+    throw new Error(dateError);
+  }
+
+  // Use the room the guest picked, or try each free room of the requested type
+  const rooms = roomId ? [await Room.findById(roomId)] : await findRoomsOfType(req, res);
+
+  if (!rooms[0]) {
+    res.status(404);
+    throw new Error(`Room not found with id of ${roomId}`);
+  }
+
+  let booking = null;
+  let coupon = null;
+  let restrictionViolation = null;
+  let allowedRooms = 0;
+
+  for (const room of rooms) {
+    // Check hotel and room stay restrictions; another room of the type may
+    // allow a stay this one's rules don't
+    const violation = await room.getStayRestrictionViolation(startDate, endDate);
+
+    if (violation) {
+      restrictionViolation = violation;
+      continue;
+    }
+
+    allowedRooms += 1;
+    ({ booking, coupon } = await prepareBooking(room, req, res, attributes));
+
+    // Reserve the room-nights before saving; only one of several concurrent
+    // requests for the same nights can win this step
+    const isReserved = room.isAvailable &&
+      await RoomNight.reserve(room._id, booking._id, startDate, endDate);
+
+    if (isReserved) {
+      break;
+    }
+
+    booking = null;
+  }
+
+  if (!allowedRooms) {
+    res.status(400);
+    throw new Error(restrictionViolation);
+  }
+
+  if (!booking) {
+    res.status(409);
+    throw new Error(roomId
+      ? 'Room is not available for the selected dates'
+      : `No ${req.body.roomType} rooms are available for the selected dates`);
+  }
+
+  // Count the promo code use against its caps, again atomically
+  if (coupon && !(await Coupon.redeem(coupon._id, req.user.id))) {
+    await RoomNight.release(booking._id);
+    res.status(409);
+    throw new Error(`Promo code ${coupon.code} has reached its usage limit`);
+  }
+
+  // Undo the reservation and redemption if a later step fails
+  const rollback = async () => {
+    await RoomNight.release(booking._id);
+    if (coupon) {
+      await Coupon.releaseRedemption(coupon._id, req.user.id);
+    }
+  };
+
+  // Confirmed bookings pay their deposit up front; holds pay on confirmation
+  if (booking.status === 'confirmed') {
+    const charge = getDepositCharge(booking);
+    const payment = await chargePayment(booking, req.body, charge.amount, charge.kind);
+
+    if (!payment.success) {
+      await rollback();
+      res.status(402);
+      throw new Error(`Payment failed: ${payment.message}`);
+    }
+  }
+
+  try {
+    await booking.save();
+  } catch (error) {
+    await rollback();
+    if (booking.paymentInfo.amountPaid > 0) {
+      await refundPayment(booking, booking.paymentInfo.amountPaid);
+    }
+    throw error;
+  }
+
+  await BookingHistory.recordChanges(booking, null, {
+    actor: req.user.id,
+    reason: booking.status === 'pending' ? 'Hold placed' : 'Booking created'
+  });
+
+  // Holds are announced once they are paid for and confirmed
+  if (booking.status === 'confirmed') {
+    await Notification.notifyBooking(booking, 'booking_confirmed');
+    await queueBookingEmail(booking, 'booking_confirmation');
+  }
+
+  // Populate booking with room and hotel details
+  return Booking.findById(booking._id)
+    .populate({
+      path: 'roomId',
+      select: 'roomType roomNumber pricePerNight'
+    })
+    .populate({
+      path: 'hotelId',
+      select: 'name location'
+    });
+};
+
+/**
+ * Helper function to price a booking request for one room and build the
+ * unsaved booking
+ * @param {Object} room - Room to book
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} attributes - Extra booking fields such as the status
+ * @returns {Promise<Object>} Validated booking and the promo code it uses
+ */
+const prepareBooking = async (room, req, res, attributes) => {
+  const { roomId, startDate, endDate, guestCount, specialRequests, promoCode } = req.body;
+  const ratePlanCode = req.body.ratePlan;
+
+  // Check if guest count is valid
+  if (guestCount > room.maxGuests) {
+    res.status(400);
+    throw new Error(`Room can only accommodate ${room.maxGuests} guests`);
+  }
+
+  // Sell the room under the requested rate plan, or its standard rate
+  const ratePlan = ratePlanCode ? room.findRatePlan(ratePlanCode) : null;
+
+  if (ratePlanCode && !ratePlan) {
+    res.status(400);
+    throw new Error(`Rate plan ${ratePlanCode} is not available for this room`);
+  }
+
+  // Check the promo code before anything is reserved
+  let coupon = null;
+
+  if (promoCode) {
+    const result = await findCoupon(promoCode, {
+      room,
+      nights: getNights(startDate, endDate).length,
+      userId: req.user.id
+    });
+
+    if (!result.coupon) {
+      res.status(400);
+      throw new Error(result.message);
+    }
+
+    coupon = result.coupon;
+  }
+
+  // Price the stay exactly as the quote endpoint does
+  const quote = await buildQuote(room, { startDate, endDate, guestCount, ratePlan, coupon });
+
+  // Record what the guest saw when they booked in another currency
+  const currency = req.query.currency || req.body.currency;
+  const displayQuote = currency ? await convertQuote(quote, currency) : null;
+
+  if (currency && !displayQuote) {
+    res.status(400);
+    throw new Error(`No exchange rate available for ${currency}`);
+  }
+
+  const booking = new Booking({
+    userId: req.user.id,
+    roomId: room._id,
+    hotelId: room.hotelId,
+    roomType: room.roomType,
+    roomAssignment: { method: roomId ? 'selected' : 'automatic' },
+    startDate,
+    endDate,
+    guestCount,
+    specialRequests,
+    ...getPriceFields(quote),
+    ...getDisplayPriceFields(displayQuote),
+    ratePlan: getRatePlanSnapshot(ratePlan),
+    ...(coupon ? { coupon: { couponId: coupon._id, code: coupon.code } } : {}),
+    ...attributes
+  });
+
+  // Work out what is taken now; the rest stays on the balance
+  const hotel = await Hotel.findById(room.hotelId).select('depositPolicy');
+  booking.paymentInfo.depositAmount = calculateDeposit(booking, hotel && hotel.depositPolicy);
+  updatePaymentSummary(booking);
+
+  await booking.validate();
+
+  return { booking, coupon };
 };
\ No newline at end of file
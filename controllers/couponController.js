@@ -0,0 +1,230 @@
+const Coupon = require('../models/Coupon');
+const Hotel = require('../models/Hotel');
+
+/**
+ * @desc    Create a new coupon
+ * @route   POST /api/coupons
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Created coupon data
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "code": "SUMMER10",
+ *   "description": "10% off summer stays",
+ *   "discountType": "percentage",
+ *   "amount": 10,
+ *   "validFrom": "2023-06-01",
+ *   "validUntil": "2023-08-31",
+ *   "minNights": 2,
+ *   "maxUses": 500,
+ *   "maxUsesPerUser": 1,
+ *   "hotelId": "60d0fe4f5311236168a109cb",
+ *   "roomTypes": ["Deluxe", "Suite"]
+ * }
+ */
+exports.createCoupon = async (req, res, next) => {
+  try {
+    // Check if hotel exists when the coupon is limited to one
+    if (req.body.hotelId && !(await Hotel.exists({ _id: req.body.hotelId }))) {
+      res.status(404);
+      throw new Error(`Hotel not found with id of ${req.body.hotelId}`);
+    }
+
+    // Add user to req.body; redemptions are only counted by the server
+    req.body.createdBy = req.user.id;
+    delete req.body.usedCount;
+
+    const coupon = await Coupon.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all coupons with filtering
+ * @route   GET /api/coupons
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Array of coupons
+ * 
+ * @example
+ * // Query parameters
+ * // /api/coupons?isActive=true&hotelId=60d0fe4f5311236168a109cb&sort=-createdAt&limit=10&page=1
+ */
+exports.getCoupons = async (req, res, next) => {
+  try {
+    // Copy req.query
+    const reqQuery = { ...req.query };
+
+    // Fields to exclude from filtering
+    const removeFields = ['select', 'sort', 'page', 'limit'];
+    removeFields.forEach(param => delete reqQuery[param]);
+
+    // Create query string
+    let queryStr = JSON.stringify(reqQuery);
+
+    // Create operators ($gt, $gte, etc)
+    queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
+
+    // Finding resource
+    let query = Coupon.find(JSON.parse(queryStr)).populate({
+      path: 'hotelId',
+      select: 'name location'
+    });
+
+    // Sort
+    if (req.query.sort) {
+      const sortBy = req.query.sort.split(',').join(' ');
+      query = query.sort(sortBy);
+    } else {
+      query = query.sort('-createdAt');
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await Coupon.countDocuments(JSON.parse(queryStr));
+
+    query = query.skip(startIndex).limit(limit);
+
+    // Execute query
+    const coupons = await query;
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      pagination,
+      data: coupons
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single coupon
+ * @route   GET /api/coupons/:id
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Coupon data
+ */
+exports.getCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).populate({
+      path: 'hotelId',
+      select: 'name location'
+    });
+
+    if (!coupon) {
+      res.status(404);
+      throw new Error(`Coupon not found with id of ${req.params.id}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/coupons/:id
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated coupon data
+ */
+exports.updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      res.status(404);
+      throw new Error(`Coupon not found with id of ${req.params.id}`);
+    }
+
+    if (req.body.hotelId && !(await Hotel.exists({ _id: req.body.hotelId }))) {
+      res.status(404);
+      throw new Error(`Hotel not found with id of ${req.body.hotelId}`);
+    }
+
+    // Redemption counts are only changed by bookings
+    delete req.body.usedCount;
+    delete req.body.createdBy;
+
+    coupon.set(req.body);
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete coupon
+ * @route   DELETE /api/coupons/:id
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Success message
+ */
+exports.deleteCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      res.status(404);
+      throw new Error(`Coupon not found with id of ${req.params.id}`);
+    }
+
+    await coupon.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,99 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { getBaseCurrency } = require('../services/currencyService');
+
+/**
+ * @desc    Get all exchange rates
+ * @route   GET /api/exchange-rates
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Base currency and array of exchange rates
+ */
+exports.getExchangeRates = async (req, res, next) => {
+  try {
+    const rates = await ExchangeRate.find().sort('currency');
+
+    res.status(200).json({
+      success: true,
+      baseCurrency: getBaseCurrency(),
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create or update an exchange rate
+ * @route   PUT /api/exchange-rates/:currency
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Exchange rate data
+ * 
+ * @example
+ * // Request body (units of the currency per one unit of the base currency)
+ * {
+ *   "rate": 0.92
+ * }
+ */
+exports.setExchangeRate = async (req, res, next) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+
+    if (currency === getBaseCurrency()) {
+      res.status(400);
+      throw new Error(`${currency} is the base currency and always has a rate of 1`);
+    }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      {
+        currency,
+        rate: req.body.rate,
+        updatedBy: req.user.id,
+        updatedAt: Date.now()
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an exchange rate
+ * @route   DELETE /api/exchange-rates/:currency
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Success message
+ */
+exports.deleteExchangeRate = async (req, res, next) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({
+      currency: req.params.currency.toUpperCase()
+    });
+
+    if (!rate) {
+      res.status(404);
+      throw new Error(`Exchange rate not found for ${req.params.currency}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
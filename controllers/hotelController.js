@@ -1,4 +1,18 @@
 const Hotel = require('../models/Hotel');
+const Room = require('../models/Room');
+const Wishlist = require('../models/Wishlist');
+const {
+  convertRoomPrices,
+  getExchangeRates,
+  getConversionRate,
+  convertAmount
+} = require('../services/currencyService');
+const {
+  findHotelIdsWithFreeRooms,
+  findAvailableStays,
+  getHotelCalendar
+} = require('../services/availabilityService');
+const { getMonthRange, getStayDateError } = require('../utils/dateUtils');
 
 /**
  * @desc    Create a new hotel
@@ -23,14 +37,28 @@ const Hotel = require('../models/Hotel');
  *     "country": "USA"
  *   },
  *   "starRating": 5,
+ *   "currency": "USD",
  *   "amenities": ["WiFi", "Pool", "Spa", "Gym"],
- *   "images": ["image1.jpg", "image2.jpg"]
+ *   "taxes": [
+ *     { "name": "VAT", "type": "percentage", "rate": 10 },
+ *     { "name": "Tourist tax", "type": "per_person_per_night", "rate": 2.5 },
+ *     { "name": "Cleaning fee", "category": "fee", "type": "per_stay", "rate": 30 }
+ *   ],
+ *   "cancellationPolicy": {
+ *     "isRefundable": true,
+ *     "freeCancellationHours": 48,
+ *     "latePenalty": "first_night"
+ *   }
  * }
  */
 exports.createHotel = async (req, res, next) => {
   try {
-    // Add user to req.body
+    // Add user to req.body; ratings only come from reviews and images
+    // from the upload endpoints
     req.body.createdBy = req.user.id;
+    delete req.body.averageRating;
+    delete req.body.reviewCount;
+    delete req.body.images;
 
     const hotel = await Hotel.create(req.body);
 
@@ -55,6 +83,9 @@ exports.createHotel = async (req, res, next) => {
  * @example
  * // Query parameters
  * // /api/hotels?location=New York&starRating[gte]=4&sort=name&limit=10&page=1
+ * // /api/hotels?sort=-averageRating,-reviewCount
+ * // /api/hotels?currency=EUR adds each hotel's lowest room price in EUR
+ * // Signed-in callers get an isWishlisted flag on each hotel
  */
 exports.getHotels = async (req, res, next) => {
   try {
@@ -62,7 +93,7 @@ exports.getHotels = async (req, res, next) => {
     const reqQuery = { ...req.query };
 
     // Fields to exclude from filtering
-    const removeFields = ['select', 'sort', 'page', 'limit'];
+    const removeFields = ['select', 'sort', 'page', 'limit', 'currency'];
     removeFields.forEach(param => delete reqQuery[param]);
 
     // Create query string
@@ -98,7 +129,17 @@ exports.getHotels = async (req, res, next) => {
     query = query.skip(startIndex).limit(limit);
 
     // Execute query
-    const hotels = await query;
+    let hotels = await query;
+
+    // Show prices in the guest's currency when asked
+    if (req.query.currency) {
+      hotels = await convertHotelPrices(hotels, req.query.currency);
+
+      if (!hotels) {
+        res.status(400);
+        throw new Error(`No exchange rate available for ${req.query.currency}`);
+      }
+    }
 
     // Pagination result
     const pagination = {};
@@ -121,7 +162,129 @@ exports.getHotels = async (req, res, next) => {
       success: true,
       count: hotels.length,
       pagination,
-      data: hotels
+      data: await flagWishlisted(hotels, req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Search hotels with a free room for a stay
+ * @route   GET /api/hotels/search
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Array of hotels with their cheapest available price
+ * 
+ * @example
+ * // Query parameters
+ * // /api/hotels/search?location=New York&checkIn=2023-09-01&checkOut=2023-09-05&guests=2&currency=EUR
+ * // /api/hotels/search?location=Paris&checkIn=2023-09-01&checkOut=2023-09-05&sort=-starRating&page=2
+ */
+exports.searchHotels = async (req, res, next) => {
+  try {
+    const { location, checkIn, checkOut, currency } = req.query;
+    const guestCount = parseInt(req.query.guests, 10) || 1;
+
+    if (!checkIn || !checkOut) {
+      res.status(400);
+      throw new Error('Please provide check-in and check-out dates');
+    }
+
+    const dateError = getStayDateError(checkIn, checkOut);
+
+    if (dateError) {
+      res.status(400);
+      throw new Error(dateError);
+    }
+
+    const startDate = new Date(checkIn);
+    const endDate = new Date(checkOut);
+
+    // Only hotels with a free room that fits the party and allows the stay
+    const filter = {
+      _id: { $in: await findHotelIdsWithFreeRooms({ startDate, endDate, guestCount }) }
+    };
+
+    // Match the location against the hotel's location, city or country
+    if (location) {
+      const pattern = new RegExp(location.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [
+        { location: pattern },
+        { 'address.city': pattern },
+        { 'address.country': pattern }
+      ];
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await Hotel.countDocuments(filter);
+
+    const sortBy = req.query.sort ? req.query.sort.split(',').join(' ') : '-averageRating -reviewCount';
+    const hotels = await Hotel.find(filter).sort(sortBy).skip(startIndex).limit(limit);
+    const stays = await findAvailableStays(hotels, { startDate, endDate, guestCount });
+
+    // Show prices in the guest's currency when asked
+    const rates = currency ? await getExchangeRates() : null;
+
+    const results = [];
+
+    for (const hotel of hotels) {
+      const stay = stays.get(hotel._id.toString());
+
+      // A room may have been booked since the hotels were counted
+      if (!stay) {
+        continue;
+      }
+
+      const result = { ...hotel.toJSON(), ...stay };
+
+      if (currency) {
+        const rate = getConversionRate(rates, hotel.currency, currency);
+
+        if (rate === null) {
+          res.status(400);
+          throw new Error(`No exchange rate available for ${currency}`);
+        }
+
+        result.displayCurrency = String(currency).toUpperCase();
+        result.displayCheapestNightlyPrice = convertAmount(stay.cheapestNightlyPrice, rate);
+        result.displayCheapestTotalPrice = convertAmount(stay.cheapestTotalPrice, rate);
+      }
+
+      results.push(result);
+    }
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    const data = await flagWishlisted(results, req.user);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      pagination,
+      data
     });
   } catch (error) {
     next(error);
@@ -136,6 +299,10 @@ exports.getHotels = async (req, res, next) => {
  * @param   {Object} res - Express response object
  * @param   {Function} next - Express next function
  * @returns {Object} Hotel data
+ * 
+ * @example
+ * // Query parameters
+ * // /api/hotels/60d0fe4f5311236168a109cb?currency=EUR
  */
 exports.getHotel = async (req, res, next) => {
   try {
@@ -146,9 +313,152 @@ exports.getHotel = async (req, res, next) => {
       throw new Error(`Hotel not found with id of ${req.params.id}`);
     }
 
+    // Show room prices in the guest's currency when asked
+    let data = hotel;
+
+    if (req.query.currency) {
+      const rooms = await convertRoomPrices(hotel.rooms, req.query.currency, hotel.currency);
+
+      if (!rooms) {
+        res.status(400);
+        throw new Error(`No exchange rate available for ${req.query.currency}`);
+      }
+
+      data = { ...hotel.toJSON(), rooms };
+    }
+
     res.status(200).json({
       success: true,
-      data: hotel
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Count free rooms of each room type for a stay
+ * @route   POST /api/hotels/:id/check-availability
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Total and free rooms per room type with the lowest base price
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "startDate": "2023-09-01",
+ *   "endDate": "2023-09-05",
+ *   "guestCount": 2
+ * }
+ */
+exports.checkHotelAvailability = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.body;
+    const guestCount = parseInt(req.body.guestCount, 10) || 1;
+
+    if (!startDate || !endDate) {
+      res.status(400);
+      throw new Error('Please provide start and end dates');
+    }
+
+    const hotel = await Hotel.findById(req.params.id);
+
+    if (!hotel) {
+      res.status(404);
+      throw new Error(`Hotel not found with id of ${req.params.id}`);
+    }
+
+    const filter = { hotelId: hotel._id, maxGuests: { $gte: guestCount } };
+    const rooms = await Room.find(filter).select('roomType');
+    const freeRooms = await Room.findAvailable(filter, startDate, endDate);
+
+    // Group by room type; free rooms come back cheapest first
+    const roomTypes = {};
+
+    rooms.forEach(room => {
+      roomTypes[room.roomType] = roomTypes[room.roomType] || {
+        roomType: room.roomType,
+        totalRooms: 0,
+        availableRooms: 0,
+        fromPricePerNight: null
+      };
+      roomTypes[room.roomType].totalRooms += 1;
+    });
+
+    freeRooms.forEach(room => {
+      const entry = roomTypes[room.roomType];
+      entry.availableRooms += 1;
+      if (entry.fromPricePerNight === null) {
+        entry.fromPricePerNight = room.pricePerNight;
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currency: hotel.currency,
+        roomTypes: Object.values(roomTypes)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a hotel's availability calendar for a month
+ * @route   GET /api/hotels/:id/calendar
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Free rooms, lowest price and restrictions for each day of the month
+ * 
+ * @example
+ * // Query parameters; month defaults to the current month
+ * // /api/hotels/60d0fe4f5311236168a109cb/calendar?month=2023-09&guests=2&roomType=Deluxe
+ */
+exports.getHotelCalendar = async (req, res, next) => {
+  try {
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+    const range = getMonthRange(month);
+
+    if (!range) {
+      res.status(400);
+      throw new Error('Month must be in the format YYYY-MM');
+    }
+
+    const hotel = await Hotel.findById(req.params.id);
+
+    if (!hotel) {
+      res.status(404);
+      throw new Error(`Hotel not found with id of ${req.params.id}`);
+    }
+
+    // Only count rooms that fit the party, optionally of one type
+    const filter = {
+      hotelId: hotel._id,
+      maxGuests: { $gte: parseInt(req.query.guests, 10) || 1 }
+    };
+
+    if (req.query.roomType) {
+      filter.roomType = req.query.roomType;
+    }
+
+    const rooms = await Room.find(filter);
+    const days = await getHotelCalendar(hotel, rooms, range);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hotelId: hotel._id,
+        month,
+        currency: hotel.currency,
+        totalRooms: rooms.length,
+        days
+      }
     });
   } catch (error) {
     next(error);
@@ -166,7 +476,7 @@ exports.getHotel = async (req, res, next) => {
  */
 exports.updateHotel = async (req, res, next) => {
   try {
-    let hotel = await Hotel.findById(req.params.id);
+    const hotel = await Hotel.findById(req.params.id);
 
     if (!hotel) {
       res.status(404);
@@ -179,10 +489,14 @@ exports.updateHotel = async (req, res, next) => {
       throw new Error(`User ${req.user.id} is not authorized to update this hotel`);
     }
 
-    hotel = await Hotel.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    // Ratings only come from reviews and images from the upload endpoints
+    delete req.body.averageRating;
+    delete req.body.reviewCount;
+    delete req.body.images;
+
+    // Save the document so the schema's validate hooks run, as they do on create
+    hotel.set(req.body);
+    await hotel.save();
 
     res.status(200).json({
       success: true,
@@ -217,7 +531,8 @@ exports.deleteHotel = async (req, res, next) => {
       throw new Error(`User ${req.user.id} is not authorized to delete this hotel`);
     }
 
-    await hotel.remove();
+    // Also deletes the hotel's rooms and all of their image files
+    await hotel.deleteOne();
 
     res.status(200).json({
       success: true,
@@ -226,4 +541,67 @@ exports.deleteHotel = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
+};
+
+/**
+ * Helper function to add each hotel's lowest room price in a display currency
+ * @param {Array} hotels - Hotel documents
+ * @param {String} currency - Currency to display
+ * @returns {Promise<Array|null>} Plain hotel objects, or null if no rate is known
+ */
+const convertHotelPrices = async (hotels, currency) => {
+  // The listing may not have selected the hotel's currency, so read it from
+  // the rooms' hotels
+  const rooms = await Room.find({ hotelId: { $in: hotels.map(hotel => hotel._id) } })
+    .select('hotelId pricePerNight')
+    .populate('hotelId', 'currency');
+  const rates = await getExchangeRates();
+  const converted = [];
+
+  for (const hotel of hotels) {
+    const hotelRooms = rooms.filter(room => room.hotelId && room.hotelId._id.equals(hotel._id));
+    const result = {
+      ...hotel.toJSON(),
+      displayCurrency: String(currency).toUpperCase(),
+      displayFromPricePerNight: null
+    };
+
+    if (hotelRooms.length) {
+      const rate = getConversionRate(rates, hotelRooms[0].hotelId.currency, currency);
+
+      if (rate === null) {
+        return null;
+      }
+
+      const fromPrice = Math.min(...hotelRooms.map(room => room.pricePerNight));
+      result.displayFromPricePerNight = convertAmount(fromPrice, rate);
+    }
+
+    converted.push(result);
+  }
+
+  return converted;
+};
+
+/**
+ * Helper function to mark the hotels a signed-in user has saved
+ * @param {Array} hotels - Hotel documents or plain hotel objects
+ * @param {Object} [user] - Signed-in user, if any
+ * @returns {Promise<Array>} Hotels with isWishlisted set, or unchanged for guests
+ */
+const flagWishlisted = async (hotels, user) => {
+  if (!user) {
+    return hotels;
+  }
+
+  const saved = await Wishlist.find({
+    userId: user._id,
+    hotelId: { $in: hotels.map(hotel => hotel._id) }
+  }).select('hotelId');
+  const savedIds = saved.map(entry => entry.hotelId.toString());
+
+  return hotels.map(hotel => ({
+    ...(hotel.toJSON ? hotel.toJSON() : hotel),
+    isWishlisted: savedIds.includes(hotel._id.toString())
+  }));
 };
\ No newline at end of file
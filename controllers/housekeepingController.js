@@ -0,0 +1,160 @@
+const Hotel = require('../models/Hotel');
+const Room = require('../models/Room');
+const Booking = require('../models/Booking');
+const { startOfUTCDay } = require('../utils/dateUtils');
+
+// Order tasks are listed in, most urgent first
+const PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * @desc    Update a room's housekeeping status
+ * @route   PUT /api/rooms/:id/housekeeping
+ * @access  Private/Staff
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated housekeeping state
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "status": "cleaning",
+ *   "notes": "Extra towels requested"
+ * }
+ */
+exports.updateHousekeeping = async (req, res, next) => {
+  try {
+    const { status, notes } = req.body;
+
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+      res.status(404);
+      throw new Error(`Room not found with id of ${req.params.id}`);
+    }
+
+    if (!req.user.worksAtHotel(room.hotelId)) {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to update housekeeping at this hotel`);
+    }
+
+    if (!room.canChangeHousekeepingStatus(status)) {
+      res.status(400);
+      throw new Error(`Cannot change housekeeping status from ${room.housekeeping.status} to ${status}`);
+    }
+
+    room.housekeeping = {
+      status,
+      notes,
+      updatedAt: new Date(),
+      updatedBy: req.user.id
+    };
+    await room.save();
+
+    res.status(200).json({
+      success: true,
+      data: room.housekeeping
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the housekeeping task list of a hotel for a day
+ * @route   GET /api/hotels/:id/housekeeping
+ * @access  Private/Staff
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Rooms with their status, the day's arrivals and departures and the task due
+ * 
+ * @example
+ * // Query parameters; date defaults to today
+ * // /api/hotels/60d0fe4f5311236168a109cb/housekeeping?date=2023-09-01
+ */
+exports.getHousekeepingTasks = async (req, res, next) => {
+  try {
+    const day = startOfUTCDay(req.query.date || new Date());
+
+    if (isNaN(day)) {
+      res.status(400);
+      throw new Error('Date must be in the format YYYY-MM-DD');
+    }
+
+    const nextDay = new Date(day);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+
+    const hotel = await Hotel.findById(req.params.id);
+
+    if (!hotel) {
+      res.status(404);
+      throw new Error(`Hotel not found with id of ${req.params.id}`);
+    }
+
+    if (!req.user.worksAtHotel(hotel._id)) {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to view housekeeping at this hotel`);
+    }
+
+    const rooms = await Room.find({ hotelId: hotel._id }).sort('roomNumber');
+
+    // Stays arriving, leaving or continuing on the day
+    const bookings = await Booking.find({
+      hotelId: hotel._id,
+      status: { $in: ['confirmed', 'checked_in'] },
+      startDate: { $lt: nextDay },
+      endDate: { $gte: day }
+    }).select('roomId startDate endDate status');
+
+    const tasks = rooms.map(room => {
+      const stays = bookings.filter(booking => booking.roomId.toString() === room._id.toString());
+      const arrival = stays.some(booking => startOfUTCDay(booking.startDate).getTime() === day.getTime());
+      const departure = stays.some(booking => startOfUTCDay(booking.endDate).getTime() === day.getTime());
+      const stayover = stays.some(booking =>
+        startOfUTCDay(booking.startDate) < day && startOfUTCDay(booking.endDate) > day
+      );
+
+      const { status } = room.housekeeping;
+      let task = null;
+
+      if (['dirty', 'cleaning'].includes(status) || departure || stayover) {
+        task = 'clean';
+      } else if (status === 'clean') {
+        task = 'inspect';
+      }
+
+      // Rooms with a guest arriving come first
+      let priority = 'low';
+
+      if (task && arrival) {
+        priority = 'high';
+      } else if (task && departure) {
+        priority = 'normal';
+      }
+
+      return {
+        roomId: room._id,
+        roomNumber: room.roomNumber,
+        roomType: room.roomType,
+        housekeeping: room.housekeeping,
+        arrival,
+        departure,
+        stayover,
+        task,
+        priority
+      };
+    });
+
+    tasks.sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority));
+
+    res.status(200).json({
+      success: true,
+      date: day.toISOString().slice(0, 10),
+      count: tasks.length,
+      data: tasks
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,333 @@
+const Hotel = require('../models/Hotel');
+const Room = require('../models/Room');
+const { storeImage, deleteImageFiles, arrangeImages } = require('../services/imageService');
+const { BadRequestError } = require('../utils/errorResponse');
+
+/**
+ * @desc    Upload images to a hotel's gallery
+ * @route   POST /api/hotels/:id/images
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Hotel's images, in gallery order
+ * 
+ * @example
+ * // multipart/form-data; captions line up with the files in order
+ * // images=@lobby.jpg images=@pool.png captions=Lobby captions=Rooftop pool isPrimary=true
+ */
+exports.uploadHotelImages = async (req, res, next) => {
+  try {
+    const hotel = await findHotel(req, res);
+    await addImages(hotel, `hotels/${hotel._id}`, req, res);
+
+    res.status(201).json({
+      success: true,
+      count: hotel.images.length,
+      data: hotel.images
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a hotel image's caption, position or primary flag
+ * @route   PUT /api/hotels/:id/images/:imageId
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Hotel's images, in gallery order
+ * 
+ * @example
+ * // Request body; order is the new position, starting at 0
+ * {
+ *   "caption": "Lobby at night",
+ *   "order": 0,
+ *   "isPrimary": true
+ * }
+ */
+exports.updateHotelImage = async (req, res, next) => {
+  try {
+    const hotel = await findHotel(req, res);
+    await changeImage(hotel, req, res);
+
+    res.status(200).json({
+      success: true,
+      count: hotel.images.length,
+      data: hotel.images
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a hotel image and its files
+ * @route   DELETE /api/hotels/:id/images/:imageId
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Hotel's remaining images, in gallery order
+ */
+exports.deleteHotelImage = async (req, res, next) => {
+  try {
+    const hotel = await findHotel(req, res);
+    await removeImage(hotel, req, res);
+
+    res.status(200).json({
+      success: true,
+      count: hotel.images.length,
+      data: hotel.images
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Upload images to a room's gallery
+ * @route   POST /api/rooms/:id/images
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Room's images, in gallery order
+ * 
+ * @example
+ * // multipart/form-data
+ * // images=@bed.jpg captions="King bed"
+ */
+exports.uploadRoomImages = async (req, res, next) => {
+  try {
+    const room = await findRoom(req, res);
+    await addImages(room, `rooms/${room._id}`, req, res);
+
+    res.status(201).json({
+      success: true,
+      count: room.images.length,
+      data: room.images
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a room image's caption, position or primary flag
+ * @route   PUT /api/rooms/:id/images/:imageId
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Room's images, in gallery order
+ */
+exports.updateRoomImage = async (req, res, next) => {
+  try {
+    const room = await findRoom(req, res);
+    await changeImage(room, req, res);
+
+    res.status(200).json({
+      success: true,
+      count: room.images.length,
+      data: room.images
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a room image and its files
+ * @route   DELETE /api/rooms/:id/images/:imageId
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Room's remaining images, in gallery order
+ */
+exports.deleteRoomImage = async (req, res, next) => {
+  try {
+    const room = await findRoom(req, res);
+    await removeImage(room, req, res);
+
+    res.status(200).json({
+      success: true,
+      count: room.images.length,
+      data: room.images
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper function to load a hotel the current user may manage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Hotel document
+ */
+const findHotel = async (req, res) => {
+  const hotel = await Hotel.findById(req.params.id);
+
+  if (!hotel) {
+    res.status(404);
+    throw new Error(`Hotel not found with id of ${req.params.id}`);
+  }
+
+  // Make sure user is hotel owner or admin
+  if (hotel.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error(`User ${req.user.id} is not authorized to update this hotel`);
+  }
+
+  return hotel;
+};
+
+/**
+ * Helper function to load a room, which must belong to the hotel in the URL
+ * when the route is nested under one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Room document
+ */
+const findRoom = async (req, res) => {
+  const room = await Room.findById(req.params.id);
+
+  if (!room || (req.params.hotelId && room.hotelId.toString() !== req.params.hotelId)) {
+    res.status(404);
+    throw new Error(`Room not found with id of ${req.params.id}`);
+  }
+
+  return room;
+};
+
+/**
+ * Helper function to store uploaded files and append them to a gallery
+ *
+ * Files already stored are deleted again if any upload or the save fails.
+ * @param {Object} parent - Hotel or room document
+ * @param {String} folder - Storage folder for the files
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const addImages = async (parent, folder, req, res) => {
+  const files = req.files || [];
+
+  if (!files.length) {
+    res.status(400);
+    throw new Error('Please upload at least one image in the images field');
+  }
+
+  const captions = [].concat(req.body.captions || []);
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      stored.push(await storeImage(file, folder));
+    }
+  } catch (error) {
+    await deleteImageFiles(stored);
+
+    // Bad uploads are the client's fault; storage failures are ours
+    if (error instanceof BadRequestError) {
+      res.status(400);
+    }
+    throw error;
+  }
+
+  const nextOrder = parent.images.length;
+
+  stored.forEach((image, index) => {
+    parent.images.push({
+      ...image,
+      caption: captions[index],
+      order: nextOrder + index
+    });
+  });
+
+  const firstImage = parent.images[nextOrder];
+  arrangeImages(parent.images, req.body.isPrimary === 'true' ? firstImage : null);
+
+  try {
+    await parent.save();
+  } catch (error) {
+    await deleteImageFiles(stored);
+    throw error;
+  }
+};
+
+/**
+ * Helper function to apply caption, position and primary changes to an image
+ * @param {Object} parent - Hotel or room document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const changeImage = async (parent, req, res) => {
+  const image = findImage(parent, req, res);
+  const { caption, order, isPrimary } = req.body;
+
+  if (caption !== undefined) {
+    image.caption = caption;
+  }
+
+  if (order !== undefined) {
+    if (!Number.isInteger(order) || order < 0) {
+      res.status(400);
+      throw new Error('Order must be a whole number of at least 0');
+    }
+
+    // Take the image out and slot it back in at its new position
+    const others = parent.images
+      .filter(other => !other._id.equals(image._id))
+      .sort((a, b) => a.order - b.order);
+    others.splice(Math.min(order, others.length), 0, image);
+    others.forEach((other, index) => {
+      other.order = index;
+    });
+  }
+
+  // One image is always primary, so it can be moved but not unset
+  arrangeImages(parent.images, isPrimary === true ? image : null);
+
+  await parent.save();
+};
+
+/**
+ * Helper function to take an image out of a gallery and delete its files
+ * @param {Object} parent - Hotel or room document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const removeImage = async (parent, req, res) => {
+  const image = findImage(parent, req, res);
+
+  parent.images.pull(image._id);
+  arrangeImages(parent.images);
+  await parent.save();
+
+  await deleteImageFiles([image]);
+};
+
+/**
+ * Helper function to find an image in a gallery by the imageId route param
+ * @param {Object} parent - Hotel or room document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Image subdocument
+ */
+const findImage = (parent, req, res) => {
+  const image = parent.images.id(req.params.imageId);
+
+  if (!image) {
+    res.status(404);
+    throw new Error(`Image not found with id of ${req.params.imageId}`);
+  }
+
+  return image;
+};
\ No newline at end of file
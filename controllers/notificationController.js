@@ -0,0 +1,144 @@
+const Notification = require('../models/Notification');
+
+/**
+ * @desc    Get the current user's notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Array of notifications, newest first, with the unread count
+ * 
+ * @example
+ * // Query parameters; pass unread=true for unread notifications only
+ * // /api/notifications?unread=true&page=1&limit=20
+ */
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const filter = { userId: req.user.id };
+
+    if (req.query.unread === 'true') {
+      filter.isRead = false;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort('-createdAt').skip(startIndex).limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.user.id, isRead: false })
+    ]);
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      pagination,
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the number of unread notifications
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Unread count
+ */
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ userId: req.user.id, isRead: false });
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated notification
+ */
+exports.markAsRead = async (req, res, next) => {
+  try {
+    // Other users' notifications are reported as missing
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!notification) {
+      res.status(404);
+      throw new Error(`Notification not found with id of ${req.params.id}`);
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Number of notifications marked as read
+ */
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
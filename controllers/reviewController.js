@@ -0,0 +1,407 @@
+const Review = require('../models/Review');
+const Booking = require('../models/Booking');
+const Hotel = require('../models/Hotel');
+
+/**
+ * @desc    Review a completed stay
+ * @route   POST /api/reviews
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Created review data
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "bookingId": "60d0fe4f5311236168a109cd",
+ *   "rating": 5,
+ *   "comment": "Spotless room and friendly staff",
+ *   "images": ["view.jpg"]
+ * }
+ */
+exports.createReview = async (req, res, next) => {
+  try {
+    const { bookingId, rating, comment, images } = req.body;
+
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+      res.status(404);
+      throw new Error(`Booking not found with id of ${bookingId}`);
+    }
+
+    // Only the guest who stayed can review, once the stay is over
+    if (booking.userId.toString() !== req.user.id) {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to review this booking`);
+    }
+
+    if (booking.status !== 'completed') {
+      res.status(400);
+      throw new Error('Only completed stays can be reviewed');
+    }
+
+    if (await Review.exists({ bookingId: booking._id })) {
+      res.status(400);
+      throw new Error('This stay has already been reviewed');
+    }
+
+    const review = await Review.create({
+      userId: req.user.id,
+      hotelId: booking.hotelId,
+      bookingId: booking._id,
+      rating,
+      comment,
+      images
+    });
+
+    res.status(201).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get visible reviews, optionally of one hotel
+ * @route   GET /api/reviews
+ * @route   GET /api/hotels/:hotelId/reviews
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Array of reviews
+ * 
+ * @example
+ * // Query parameters
+ * // /api/hotels/60d0fe4f5311236168a109cb/reviews?rating[gte]=4&sort=-rating&limit=10&page=1
+ */
+exports.getReviews = async (req, res, next) => {
+  try {
+    const filter = { status: { $ne: 'hidden' } };
+
+    if (req.params.hotelId) {
+      filter.hotelId = req.params.hotelId;
+    }
+
+    await listReviews(req, res, filter);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all reviews including hidden ones, for moderation
+ * @route   GET /api/reviews/all
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Array of reviews
+ * 
+ * @example
+ * // Query parameters
+ * // /api/reviews/all?status=flagged&sort=createdAt
+ */
+exports.getAllReviews = async (req, res, next) => {
+  try {
+    await listReviews(req, res, {});
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single review
+ * @route   GET /api/reviews/:id
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Review data
+ */
+exports.getReview = async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, status: { $ne: 'hidden' } })
+      .populate({
+        path: 'userId',
+        select: 'name'
+      });
+
+    if (!review) {
+      res.status(404);
+      throw new Error(`Review not found with id of ${req.params.id}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update own review
+ * @route   PUT /api/reviews/:id
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated review data
+ * 
+ * @example
+ * // Request body (all fields optional)
+ * {
+ *   "rating": 4,
+ *   "comment": "Great stay, breakfast could be better"
+ * }
+ */
+exports.updateReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      res.status(404);
+      throw new Error(`Review not found with id of ${req.params.id}`);
+    }
+
+    // Make sure user is review author
+    if (review.userId.toString() !== req.user.id) {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to update this review`);
+    }
+
+    // Guests can only change what they wrote
+    ['rating', 'comment', 'images'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field];
+      }
+    });
+    review.updatedAt = new Date();
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete review
+ * @route   DELETE /api/reviews/:id
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Empty object
+ */
+exports.deleteReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      res.status(404);
+      throw new Error(`Review not found with id of ${req.params.id}`);
+    }
+
+    // Make sure user is review author or admin
+    if (review.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to delete this review`);
+    }
+
+    await review.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reply to a review on behalf of the hotel
+ * @route   PUT /api/reviews/:id/response
+ * @access  Private/Admin (hotel owner)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated review data
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "comment": "Thank you for staying with us!"
+ * }
+ */
+exports.respondToReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      res.status(404);
+      throw new Error(`Review not found with id of ${req.params.id}`);
+    }
+
+    if (!req.body.comment) {
+      res.status(400);
+      throw new Error('Please add a response');
+    }
+
+    const hotel = await Hotel.findById(review.hotelId);
+
+    if (!hotel) {
+      res.status(404);
+      throw new Error(`Hotel not found with id of ${review.hotelId}`);
+    }
+
+    // The route is admin-only, so only the admin who owns the hotel may
+    // speak for it
+    if (hotel.createdBy.toString() !== req.user.id) {
+      res.status(403);
+      throw new Error(`User ${req.user.id} is not authorized to respond for this hotel`);
+    }
+
+    review.response = {
+      comment: req.body.comment,
+      respondedBy: req.user.id,
+      respondedAt: new Date()
+    };
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Publish, flag or hide a review
+ * @route   PUT /api/reviews/:id/moderation
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated review data
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "status": "hidden",
+ *   "reason": "Contains personal information"
+ * }
+ */
+exports.moderateReview = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      res.status(404);
+      throw new Error(`Review not found with id of ${req.params.id}`);
+    }
+
+    review.status = status;
+    review.moderation = {
+      reason,
+      moderatedBy: req.user.id,
+      moderatedAt: new Date()
+    };
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper function to send a filtered, sorted and paginated list of reviews
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} baseFilter - Conditions the caller always applies
+ */
+const listReviews = async (req, res, baseFilter) => {
+  // Copy req.query
+  const reqQuery = { ...req.query };
+
+  // Fields to exclude from filtering
+  const removeFields = ['select', 'sort', 'page', 'limit'];
+  removeFields.forEach(param => delete reqQuery[param]);
+
+  // Create query string
+  let queryStr = JSON.stringify(reqQuery);
+
+  // Create operators ($gt, $gte, etc)
+  queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
+
+  // The caller's conditions win over the query string
+  const filter = { ...JSON.parse(queryStr), ...baseFilter };
+
+  // Finding resource
+  let query = Review.find(filter).populate({
+    path: 'userId',
+    select: 'name'
+  });
+
+  // Sort
+  if (req.query.sort) {
+    const sortBy = req.query.sort.split(',').join(' ');
+    query = query.sort(sortBy);
+  } else {
+    query = query.sort('-createdAt');
+  }
+
+  // Pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const total = await Review.countDocuments(filter);
+
+  query = query.skip(startIndex).limit(limit);
+
+  // Execute query
+  const reviews = await query;
+
+  // Pagination result
+  const pagination = {};
+
+  if (endIndex < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    pagination,
+    data: reviews
+  });
+};
\ No newline at end of file
@@ -0,0 +1,180 @@
+const Room = require('../models/Room');
+const RoomBlock = require('../models/RoomBlock');
+const RoomNight = require('../models/RoomNight');
+const Booking = require('../models/Booking');
+const { startOfUTCDay } = require('../utils/dateUtils');
+
+/**
+ * @desc    Get the blocks of a room
+ * @route   GET /api/rooms/:id/blocks
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Array of room blocks, upcoming first
+ * 
+ * @example
+ * // Query parameters; pass all=true to include past blocks
+ * // /api/rooms/60d0fe4f5311236168a109cc/blocks?all=true
+ */
+exports.getRoomBlocks = async (req, res, next) => {
+  try {
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+      res.status(404);
+      throw new Error(`Room not found with id of ${req.params.id}`);
+    }
+
+    const filter = { roomId: room._id };
+
+    if (req.query.all !== 'true') {
+      filter.endDate = { $gt: startOfUTCDay(new Date()) };
+    }
+
+    const blocks = await RoomBlock.find(filter).sort('startDate');
+
+    res.status(200).json({
+      success: true,
+      count: blocks.length,
+      data: blocks
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Take a room out of sale for a date range
+ * @route   POST /api/rooms/:id/blocks
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Created block, with any bookings it overlaps when forced
+ * 
+ * @example
+ * // Request body; force creates the block even if guests have booked
+ * // some of its nights, leaving those nights with the bookings
+ * {
+ *   "startDate": "2023-11-01",
+ *   "endDate": "2023-11-08",
+ *   "type": "maintenance",
+ *   "reason": "Bathroom renovation",
+ *   "force": false
+ * }
+ */
+exports.createRoomBlock = async (req, res, next) => {
+  try {
+    const { startDate, endDate, type, reason, force } = req.body;
+
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+      res.status(404);
+      throw new Error(`Room not found with id of ${req.params.id}`);
+    }
+
+    const block = new RoomBlock({
+      roomId: room._id,
+      hotelId: room.hotelId,
+      startDate,
+      endDate,
+      type,
+      reason,
+      createdBy: req.user.id
+    });
+
+    await block.validate();
+
+    // Blocks can't overlap each other
+    const overlappingBlock = await RoomBlock.findOne({
+      roomId: room._id,
+      startDate: { $lt: block.endDate },
+      endDate: { $gt: block.startDate }
+    });
+
+    if (overlappingBlock) {
+      res.status(409);
+      throw new Error(`Room is already blocked from ${overlappingBlock.startDate.toISOString().slice(0, 10)} to ${overlappingBlock.endDate.toISOString().slice(0, 10)}`);
+    }
+
+    const conflictingBookings = await findConflictingBookings(room._id, block.startDate, block.endDate);
+
+    if (conflictingBookings.length && force !== true) {
+      res.status(409);
+      throw new Error(`Block overlaps ${conflictingBookings.length} existing booking(s); pass force to block the room anyway`);
+    }
+
+    await block.save();
+
+    // Claim the free nights; a forced block retries once if a booking
+    // slipped in, leaving that booking its nights
+    const isBlocked = await RoomNight.block(room._id, block._id, block.startDate, block.endDate) ||
+      (force === true && await RoomNight.block(room._id, block._id, block.startDate, block.endDate));
+
+    if (!isBlocked) {
+      await block.deleteOne();
+      res.status(409);
+      throw new Error('Room was booked while the block was being created; please try again');
+    }
+
+    res.status(201).json({
+      success: true,
+      conflictingBookings,
+      data: block
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a room block and put its nights back on sale
+ * @route   DELETE /api/rooms/:id/blocks/:blockId
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Empty object
+ */
+exports.deleteRoomBlock = async (req, res, next) => {
+  try {
+    const block = await RoomBlock.findOne({ _id: req.params.blockId, roomId: req.params.id });
+
+    if (!block) {
+      res.status(404);
+      throw new Error(`Room block not found with id of ${req.params.blockId}`);
+    }
+
+    await RoomNight.deleteMany({ blockId: block._id });
+    await block.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper function to find the live bookings holding nights of a room in a range
+ * @param {ObjectId} roomId - Room to check
+ * @param {Date} startDate - First night
+ * @param {Date} endDate - Day after the last night
+ * @returns {Promise<Array>} Bookings with their guest and dates
+ */
+const findConflictingBookings = async (roomId, startDate, endDate) => {
+  const bookingIds = await RoomNight.distinct('bookingId', {
+    roomId,
+    bookingId: { $exists: true },
+    date: { $gte: startOfUTCDay(startDate), $lt: startOfUTCDay(endDate) }
+  });
+
+  return Booking.find({
+    _id: { $in: bookingIds },
+    status: { $in: ['pending', 'confirmed', 'checked_in'] }
+  }).select('userId startDate endDate status');
+};
\ No newline at end of file
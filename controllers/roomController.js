@@ -1,5 +1,9 @@
 const Room = require('../models/Room');
 const Hotel = require('../models/Hotel');
+const { buildQuote, findCoupon } = require('../services/pricingService');
+const { convertQuote, convertRoomPrices } = require('../services/currencyService');
+const { getRoomCalendar } = require('../services/availabilityService');
+const { getNights, getMonthRange, getStayDateError } = require('../utils/dateUtils');
 
 /**
  * @desc    Create a new room
@@ -20,7 +24,10 @@ const Hotel = require('../models/Hotel');
  *   "amenities": ["WiFi", "AC", "TV", "Mini Bar"],
  *   "maxGuests": 2,
  *   "description": "Luxurious deluxe room with city view",
- *   "images": ["room1.jpg", "room2.jpg"]
+ *   "ratePlans": [
+ *     { "code": "NONREF", "name": "Non-refundable", "priceModifier": { "type": "percentage", "amount": -10 }, "cancellationPolicy": { "isRefundable": false } },
+ *     { "code": "BB", "name": "Breakfast included", "priceModifier": { "type": "fixed", "amount": 20 }, "inclusions": ["Breakfast"] }
+ *   ]
  * }
  */
 exports.createRoom = async (req, res, next) => {
@@ -33,6 +40,9 @@ exports.createRoom = async (req, res, next) => {
       throw new Error(`Hotel not found with id of ${req.body.hotelId}`);
     }
 
+    // Images are added through the upload endpoints
+    delete req.body.images;
+
     const room = await Room.create(req.body);
 
     res.status(201).json({
@@ -51,11 +61,11 @@ exports.createRoom = async (req, res, next) => {
  * @param   {Object} req - Express request object
  * @param   {Object} res - Express response object
  * @param   {Function} next - Express next function
- * @returns {Object} Array of rooms
+ * @returns {Object} Array of rooms with their bookable rate plans
  * 
  * @example
  * // Query parameters
- * // /api/rooms?hotelId=60d0fe4f5311236168a109ca&pricePerNight[lte]=200&amenities=WiFi,AC&sort=pricePerNight&limit=10&page=1
+ * // /api/rooms?hotelId=60d0fe4f5311236168a109ca&pricePerNight[lte]=200&amenities=WiFi,AC&sort=pricePerNight&limit=10&page=1&currency=EUR
  */
 exports.getRooms = async (req, res, next) => {
   try {
@@ -63,7 +73,7 @@ exports.getRooms = async (req, res, next) => {
     const reqQuery = { ...req.query };
 
     // Fields to exclude from filtering
-    const removeFields = ['select', 'sort', 'page', 'limit'];
+    const removeFields = ['select', 'sort', 'page', 'limit', 'currency'];
     removeFields.forEach(param => delete reqQuery[param]);
 
     // Handle amenities filter (convert comma-separated to $in operator)
@@ -81,7 +91,7 @@ exports.getRooms = async (req, res, next) => {
     // Finding resource
     let query = Room.find(JSON.parse(queryStr)).populate({
       path: 'hotelId',
-      select: 'name location starRating'
+      select: 'name location starRating currency'
     });
 
     // Select fields
@@ -108,7 +118,17 @@ exports.getRooms = async (req, res, next) => {
     query = query.skip(startIndex).limit(limit);
 
     // Execute query
-    const rooms = await query;
+    let rooms = await query;
+
+    // Show prices in the guest's currency when asked
+    if (req.query.currency) {
+      rooms = await convertRoomPrices(rooms, req.query.currency);
+
+      if (!rooms) {
+        res.status(400);
+        throw new Error(`No exchange rate available for ${req.query.currency}`);
+      }
+    }
 
     // Pagination result
     const pagination = {};
@@ -145,13 +165,17 @@ exports.getRooms = async (req, res, next) => {
  * @param   {Object} req - Express request object
  * @param   {Object} res - Express response object
  * @param   {Function} next - Express next function
- * @returns {Object} Room data
+ * @returns {Object} Room data with its bookable rate plans
+ * 
+ * @example
+ * // Query parameters
+ * // /api/rooms/60d0fe4f5311236168a109cc?currency=EUR
  */
 exports.getRoom = async (req, res, next) => {
   try {
     const room = await Room.findById(req.params.id).populate({
       path: 'hotelId',
-      select: 'name location starRating'
+      select: 'name location starRating currency'
     });
 
     if (!room) {
@@ -159,9 +183,21 @@ exports.getRoom = async (req, res, next) => {
       throw new Error(`Room not found with id of ${req.params.id}`);
     }
 
+    // Show prices in the guest's currency when asked
+    let data = room;
+
+    if (req.query.currency) {
+      [data] = await convertRoomPrices([room], req.query.currency) || [];
+
+      if (!data) {
+        res.status(400);
+        throw new Error(`No exchange rate available for ${req.query.currency}`);
+      }
+    }
+
     res.status(200).json({
       success: true,
-      data: room
+      data
     });
   } catch (error) {
     next(error);
@@ -179,7 +215,7 @@ exports.getRoom = async (req, res, next) => {
  */
 exports.updateRoom = async (req, res, next) => {
   try {
-    let room = await Room.findById(req.params.id);
+    const room = await Room.findById(req.params.id);
 
     if (!room) {
       res.status(404);
@@ -196,10 +232,13 @@ exports.updateRoom = async (req, res, next) => {
       }
     }
 
-    room = await Room.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    }).populate({
+    // Images are managed through the upload endpoints
+    delete req.body.images;
+
+    // Save the document so the schema's validate hooks run, as they do on create
+    room.set(req.body);
+    await room.save();
+    await room.populate({
       path: 'hotelId',
       select: 'name location starRating'
     });
@@ -231,7 +270,8 @@ exports.deleteRoom = async (req, res, next) => {
       throw new Error(`Room not found with id of ${req.params.id}`);
     }
 
-    await room.remove();
+    // Also deletes the room's image files
+    await room.deleteOne();
 
     res.status(200).json({
       success: true,
@@ -242,6 +282,142 @@ exports.deleteRoom = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get room rate calendar
+ * @route   GET /api/rooms/:id/rates
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Base price, seasons, weekend surcharge and overrides
+ */
+exports.getRoomRates = async (req, res, next) => {
+  try {
+    const room = await Room.findById(req.params.id)
+      .select('pricePerNight seasonalRates weekendSurcharge rateOverrides');
+
+    if (!room) {
+      res.status(404);
+      throw new Error(`Room not found with id of ${req.params.id}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a room's availability calendar for a month
+ * @route   GET /api/rooms/:id/calendar
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Availability, price and restrictions for each day of the month
+ * 
+ * @example
+ * // Query parameters; month defaults to the current month
+ * // /api/rooms/60d0fe4f5311236168a109cc/calendar?month=2023-09
+ */
+exports.getRoomCalendar = async (req, res, next) => {
+  try {
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+    const range = getMonthRange(month);
+
+    if (!range) {
+      res.status(400);
+      throw new Error('Month must be in the format YYYY-MM');
+    }
+
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+      res.status(404);
+      throw new Error(`Room not found with id of ${req.params.id}`);
+    }
+
+    const hotel = await Hotel.findById(room.hotelId).select('currency stayRestrictions');
+    const days = await getRoomCalendar(room, hotel, range);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roomId: room._id,
+        month,
+        currency: hotel ? hotel.currency : undefined,
+        days
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update room rate calendar
+ * @route   PUT /api/rooms/:id/rates
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Updated rate calendar
+ * 
+ * @example
+ * // Request body (each field optional, provided fields are replaced)
+ * {
+ *   "seasonalRates": [
+ *     { "name": "Summer", "startDate": "2023-07-01", "endDate": "2023-08-31", "pricePerNight": 180 }
+ *   ],
+ *   "weekendSurcharge": { "days": [5, 6], "type": "percentage", "amount": 15 },
+ *   "rateOverrides": [
+ *     { "date": "2023-12-31", "pricePerNight": 400 }
+ *   ]
+ * }
+ */
+exports.updateRoomRates = async (req, res, next) => {
+  try {
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+      res.status(404);
+      throw new Error(`Room not found with id of ${req.params.id}`);
+    }
+
+    ['pricePerNight', 'seasonalRates', 'weekendSurcharge', 'rateOverrides'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        room.set(field, req.body[field]);
+      }
+    });
+
+    // Seasons must not end before they start
+    const invalidSeason = room.seasonalRates.find(season => season.endDate < season.startDate);
+
+    if (invalidSeason) {
+      res.status(400);
+      throw new Error('Season end date must be on or after its start date');
+    }
+
+    await room.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: room._id,
+        pricePerNight: room.pricePerNight,
+        seasonalRates: room.seasonalRates,
+        weekendSurcharge: room.weekendSurcharge,
+        rateOverrides: room.rateOverrides
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Check room availability for dates
  * @route   POST /api/rooms/:id/check-availability
@@ -274,6 +450,14 @@ exports.checkRoomAvailability = async (req, res, next) => {
       throw new Error(`Room not found with id of ${req.params.id}`);
     }
     
+    // Check hotel and room stay restrictions
+    const restrictionViolation = await room.getStayRestrictionViolation(startDate, endDate);
+
+    if (restrictionViolation) {
+      res.status(400);
+      throw new Error(restrictionViolation);
+    }
+    
     const isAvailable = await room.isAvailableForDates(startDate, endDate);
     
     res.status(200).json({
@@ -285,4 +469,114 @@ exports.checkRoomAvailability = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
+};
+
+/**
+ * @desc    Get a price quote for a stay
+ * @route   POST /api/rooms/:id/quote
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Availability status and line-item quote
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "startDate": "2023-09-01",
+ *   "endDate": "2023-09-05",
+ *   "guestCount": 2,
+ *   "ratePlan": "NONREF",
+ *   "promoCode": "SUMMER10",
+ *   "currency": "EUR"
+ * }
+ */
+exports.getRoomQuote = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.body;
+    const guestCount = parseInt(req.body.guestCount, 10) || 1;
+    
+    if (!startDate || !endDate) {
+      res.status(400);
+      throw new Error('Please provide start and end dates');
+    }
+
+    const dateError = getStayDateError(startDate, endDate);
+
+    if (dateError) {
+      res.status(400);
+      throw new Error(dateError);
+    }
+    
+    const room = await Room.findById(req.params.id);
+    
+    if (!room) {
+      res.status(404);
+      throw new Error(`Room not found with id of ${req.params.id}`);
+    }
+
+    if (guestCount > room.maxGuests) {
+      res.status(400);
+      throw new Error(`Room can only accommodate ${room.maxGuests} guests`);
+    }
+    
+    // Check hotel and room stay restrictions
+    const restrictionViolation = await room.getStayRestrictionViolation(startDate, endDate);
+
+    if (restrictionViolation) {
+      res.status(400);
+      throw new Error(restrictionViolation);
+    }
+
+    const ratePlan = req.body.ratePlan ? room.findRatePlan(req.body.ratePlan) : null;
+
+    if (req.body.ratePlan && !ratePlan) {
+      res.status(400);
+      throw new Error(`Rate plan ${req.body.ratePlan} is not available for this room`);
+    }
+
+    // The quote route is public, so per-user caps are only checked at booking time
+    let coupon = null;
+
+    if (req.body.promoCode) {
+      const result = await findCoupon(req.body.promoCode, {
+        room,
+        nights: getNights(startDate, endDate).length
+      });
+
+      if (!result.coupon) {
+        res.status(400);
+        throw new Error(result.message);
+      }
+
+      coupon = result.coupon;
+    }
+    
+    const isAvailable = await room.isAvailableForDates(startDate, endDate);
+    const quote = await buildQuote(room, { startDate, endDate, guestCount, ratePlan, coupon });
+
+    // Convert the amounts into the guest's currency when asked
+    const currency = req.query.currency || req.body.currency;
+    let displayQuote = null;
+
+    if (currency) {
+      displayQuote = await convertQuote(quote, currency);
+
+      if (!displayQuote) {
+        res.status(400);
+        throw new Error(`No exchange rate available for ${currency}`);
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        isAvailable,
+        quote,
+        displayQuote
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+const Wishlist = require('../models/Wishlist');
+const Hotel = require('../models/Hotel');
+const { findAvailableStays } = require('../services/availabilityService');
+const { startOfUTCDay } = require('../utils/dateUtils');
+
+/**
+ * @desc    Get the current user's saved hotels with their cheapest price
+ * @route   GET /api/wishlist
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Array of saved hotels, newest first
+ * 
+ * @example
+ * // Query parameters; prices are for tonight and one guest unless dates are given
+ * // /api/wishlist?checkIn=2023-09-01&checkOut=2023-09-05&guests=2
+ */
+exports.getWishlist = async (req, res, next) => {
+  try {
+    const startDate = startOfUTCDay(req.query.checkIn || new Date());
+    const endDate = req.query.checkOut ? startOfUTCDay(req.query.checkOut) : new Date(startDate);
+    const guestCount = parseInt(req.query.guests, 10) || 1;
+
+    if (!req.query.checkOut) {
+      endDate.setUTCDate(endDate.getUTCDate() + 1);
+    }
+
+    if (isNaN(startDate) || isNaN(endDate) || startDate >= endDate) {
+      res.status(400);
+      throw new Error('Check-out date must be after check-in date');
+    }
+
+    const entries = await Wishlist.find({ userId: req.user.id })
+      .populate('hotelId')
+      .sort('-createdAt');
+
+    // Hotels deleted since they were saved are left out
+    const saved = entries.filter(entry => entry.hotelId);
+    const stays = await findAvailableStays(saved.map(entry => entry.hotelId), {
+      startDate,
+      endDate,
+      guestCount
+    });
+
+    const data = saved.map(entry => {
+      const stay = stays.get(entry.hotelId._id.toString());
+
+      return {
+        _id: entry._id,
+        hotel: entry.hotelId,
+        savedAt: entry.createdAt,
+        isAvailable: Boolean(stay),
+        currency: entry.hotelId.currency,
+        cheapestNightlyPrice: stay ? stay.cheapestNightlyPrice : null,
+        cheapestTotalPrice: stay ? stay.cheapestTotalPrice : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Save a hotel to the current user's wishlist
+ * @route   POST /api/wishlist
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Wishlist entry; saving a hotel twice returns the existing entry
+ * 
+ * @example
+ * // Request body
+ * {
+ *   "hotelId": "60d0fe4f5311236168a109cb"
+ * }
+ */
+exports.addToWishlist = async (req, res, next) => {
+  try {
+    const { hotelId } = req.body;
+
+    if (!hotelId || !(await Hotel.exists({ _id: hotelId }))) {
+      res.status(404);
+      throw new Error(`Hotel not found with id of ${hotelId}`);
+    }
+
+    const entry = await Wishlist.findOneAndUpdate(
+      { userId: req.user.id, hotelId },
+      { $setOnInsert: { userId: req.user.id, hotelId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a hotel from the current user's wishlist
+ * @route   DELETE /api/wishlist/:hotelId
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next function
+ * @returns {Object} Empty object
+ */
+exports.removeFromWishlist = async (req, res, next) => {
+  try {
+    const entry = await Wishlist.findOneAndDelete({
+      userId: req.user.id,
+      hotelId: req.params.hotelId
+    });
+
+    if (!entry) {
+      res.status(404);
+      throw new Error(`Hotel ${req.params.hotelId} is not in your wishlist`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+const EmailMessage = require('../models/EmailMessage');
+const { getEmailTransport } = require('../services/email');
+
+const RETRY_DELAY_MS = 60 * 1000;
+// How long an attempt may take before the message is picked up again
+const SEND_TIMEOUT_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+/**
+ * Send queued emails that are due, retrying failures with exponential backoff
+ *
+ * Each message is claimed with a conditional update before it is sent, so
+ * two servers running the job never send the same message twice. Messages
+ * that still fail after EMAIL_MAX_ATTEMPTS tries are marked failed.
+ *
+ * @returns {Promise<Object>} Number of messages sent and failed
+ */
+const processEmailQueue = async () => {
+  const result = { sent: 0, failed: 0 };
+  const transport = getEmailTransport();
+  const from = process.env.EMAIL_FROM || 'Hotel Booking <no-reply@localhost>';
+  const maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+
+  const dueMessages = await EmailMessage.find({
+    status: { $in: ['queued', 'sending'] },
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .sort('nextAttemptAt')
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  for (const due of dueMessages) {
+    const now = new Date();
+    const message = await EmailMessage.findOneAndUpdate(
+      { _id: due._id, status: { $in: ['queued', 'sending'] }, nextAttemptAt: { $lte: now } },
+      {
+        status: 'sending',
+        nextAttemptAt: new Date(now.getTime() + SEND_TIMEOUT_MS),
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+
+    if (!message) {
+      continue;
+    }
+
+    try {
+      const info = await transport.send({
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+
+      message.set({ status: 'sent', sentAt: new Date(), messageId: info.messageId, lastError: undefined });
+      result.sent += 1;
+    } catch (error) {
+      const isFinal = message.attempts >= maxAttempts;
+
+      message.set({
+        status: isFinal ? 'failed' : 'queued',
+        nextAttemptAt: new Date(Date.now() + RETRY_DELAY_MS * 2 ** (message.attempts - 1)),
+        lastError: error.message
+      });
+
+      if (isFinal) {
+        console.error(`Giving up on email ${message._id} to ${message.to}: ${error.message}`);
+        result.failed += 1;
+      }
+    }
+
+    await message.save();
+  }
+
+  return result;
+};
+
+/**
+ * Run the email queue on a fixed interval
+ * @param {Number} intervalMs - Time between runs in milliseconds; defaults to EMAIL_QUEUE_INTERVAL_MS
+ * @returns {Object} Interval handle
+ */
+const startEmailQueue = (intervalMs = parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS, 10) || 15 * 1000) => {
+  let isRunning = false;
+
+  const timer = setInterval(() => {
+    // Slow SMTP servers can make a run outlast the interval
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    processEmailQueue()
+      .catch(error => {
+        console.error(`Error processing email queue: ${error.message}`);
+      })
+      .finally(() => {
+        isRunning = false;
+      });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the queue
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  processEmailQueue,
+  startEmailQueue
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+const Booking = require('../models/Booking');
+const RoomNight = require('../models/RoomNight');
+const Coupon = require('../models/Coupon');
+const BookingHistory = require('../models/BookingHistory');
+
+/**
+ * Expire pending bookings whose hold has run out and free their room-nights
+ * @returns {Promise<Number>} Number of holds released
+ */
+const releaseExpiredHolds = async () => {
+  const expiredHolds = await Booking.find({
+    status: 'pending',
+    holdExpiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  let released = 0;
+
+  for (const hold of expiredHolds) {
+    // Conditional update so a hold confirmed in the meantime is left alone
+    const booking = await Booking.findOneAndUpdate(
+      { _id: hold._id, status: 'pending', holdExpiresAt: { $lte: new Date() } },
+      { status: 'expired' },
+      { new: true }
+    );
+
+    if (booking) {
+      await BookingHistory.recordChanges(
+        booking,
+        { ...BookingHistory.snapshot(booking), status: 'pending' },
+        { reason: 'Hold expired' }
+      );
+      await RoomNight.release(booking._id);
+      if (booking.coupon && booking.coupon.couponId) {
+        await Coupon.releaseRedemption(booking.coupon.couponId, booking.userId);
+      }
+      released += 1;
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Run the hold sweeper on a fixed interval
+ * @param {Number} intervalMs - Time between sweeps in milliseconds; defaults to HOLD_SWEEP_INTERVAL_MS
+ * @returns {Object} Interval handle
+ */
+const startHoldSweeper = (intervalMs = parseInt(process.env.HOLD_SWEEP_INTERVAL_MS, 10) || 60 * 1000) => {
+  const timer = setInterval(() => {
+    releaseExpiredHolds().catch(error => {
+      console.error(`Error releasing expired holds: ${error.message}`);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  releaseExpiredHolds,
+  startHoldSweeper
+};
\ No newline at end of file
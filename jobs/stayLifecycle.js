@@ -0,0 +1,102 @@
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RoomNight = require('../models/RoomNight');
+const BookingHistory = require('../models/BookingHistory');
+const { startOfUTCDay } = require('../utils/dateUtils');
+
+/**
+ * Move a booking from one status to another unless it changed in the meantime
+ * @param {ObjectId} bookingId - Booking to update
+ * @param {String} from - Status the booking must still have
+ * @param {String} to - New status
+ * @param {String} reason - Reason written to the booking history
+ * @returns {Promise<Object|null>} Updated booking, or null if it had moved on
+ */
+const transition = async (bookingId, from, to, reason) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: from },
+    { status: to },
+    { new: true }
+  );
+
+  if (booking) {
+    await BookingHistory.recordChanges(
+      booking,
+      { ...BookingHistory.snapshot(booking), status: from },
+      { reason }
+    );
+  }
+
+  return booking;
+};
+
+/**
+ * Mark confirmed bookings whose arrival day has passed as no-shows, freeing
+ * their room-nights, and complete checked-in stays past their check-out date
+ *
+ * Stays with a balance still due are left checked in for the front desk to
+ * settle and check out by hand.
+ *
+ * @returns {Promise<Object>} Number of no-shows and completed stays
+ */
+const updateStayStatuses = async () => {
+  const now = new Date();
+  const result = { noShows: 0, completed: 0 };
+
+  const missedArrivals = await Booking.find({
+    status: 'confirmed',
+    startDate: { $lt: startOfUTCDay(now) }
+  }).select('_id');
+
+  for (const missed of missedArrivals) {
+    const booking = await transition(missed._id, 'confirmed', 'no_show', 'Guest did not arrive');
+
+    if (booking) {
+      await RoomNight.release(booking._id);
+      result.noShows += 1;
+    }
+  }
+
+  const finishedStays = await Booking.find({
+    status: 'checked_in',
+    endDate: { $lte: now },
+    'paymentInfo.balanceDue': { $not: { $gt: 0 } }
+  }).select('_id');
+
+  for (const finished of finishedStays) {
+    const booking = await transition(finished._id, 'checked_in', 'completed', 'Stay ended');
+
+    if (booking) {
+      await Room.updateOne(
+        { _id: booking.roomId },
+        { housekeeping: { status: 'dirty', updatedAt: new Date() } }
+      );
+      result.completed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Run the stay lifecycle job on a fixed interval
+ * @param {Number} intervalMs - Time between runs in milliseconds; defaults to STAY_LIFECYCLE_INTERVAL_MS
+ * @returns {Object} Interval handle
+ */
+const startStayLifecycleJob = (intervalMs = parseInt(process.env.STAY_LIFECYCLE_INTERVAL_MS, 10) || 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    updateStayStatuses().catch(error => {
+      console.error(`Error updating stay statuses: ${error.message}`);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the job
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  updateStayStatuses,
+  startStayLifecycleJob
+};
\ No newline at end of file
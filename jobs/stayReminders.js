@@ -0,0 +1,67 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const { queueBookingEmail } = require('../services/emailService');
+const { startOfUTCDay } = require('../utils/dateUtils');
+
+/**
+ * Remind guests of confirmed stays starting within the lead time, in the
+ * app and by email; the lead time is STAY_REMINDER_LEAD_HOURS
+ *
+ * Each booking is claimed with a conditional update before its guest is
+ * notified, so a guest is reminded once even if two servers run the job.
+ *
+ * @returns {Promise<Number>} Number of reminders sent
+ */
+const sendStayReminders = async () => {
+  const now = new Date();
+  const leadHours = parseInt(process.env.STAY_REMINDER_LEAD_HOURS, 10) || 48;
+  const upcomingStays = await Booking.find({
+    status: 'confirmed',
+    startDate: {
+      $gte: startOfUTCDay(now),
+      $lte: new Date(now.getTime() + leadHours * 60 * 60 * 1000)
+    },
+    upcomingStayNotifiedAt: { $exists: false }
+  }).select('_id');
+
+  let sent = 0;
+
+  for (const stay of upcomingStays) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: stay._id, status: 'confirmed', upcomingStayNotifiedAt: { $exists: false } },
+      { upcomingStayNotifiedAt: now },
+      { new: true }
+    );
+
+    if (booking) {
+      await Notification.notifyBooking(booking, 'upcoming_stay');
+      await queueBookingEmail(booking, 'pre_arrival_reminder');
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Run the stay reminder job on a fixed interval
+ * @param {Number} intervalMs - Time between runs in milliseconds; defaults to STAY_REMINDER_INTERVAL_MS
+ * @returns {Object} Interval handle
+ */
+const startStayReminderJob = (intervalMs = parseInt(process.env.STAY_REMINDER_INTERVAL_MS, 10) || 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    sendStayReminders().catch(error => {
+      console.error(`Error sending stay reminders: ${error.message}`);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the job
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  sendStayReminders,
+  startStayReminderJob
+};
\ No newline at end of file
@@ -33,6 +33,11 @@ const errorHandler = (err, req, res, next) => {
     message = `${field.charAt(0).toUpperCase() + field.slice(1)} already exists`;
   }
 
+  // Handle rejected file uploads
+  if (err.name === 'MulterError') {
+    statusCode = 400;
+  }
+
   // Handle JWT errors
   if (err.name === 'JsonWebTokenError') {
     statusCode = 401;
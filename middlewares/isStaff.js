@@ -0,0 +1,19 @@
+/**
+ * Middleware to protect routes used by hotel staff at the front desk
+ * Staff are limited to the hotels in their hotelIds, which each controller
+ * checks once it has loaded the booking, room or hotel
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const isStaff = (req, res, next) => {
+  // Admins can do everything staff can
+  if (req.user && ['staff', 'admin'].includes(req.user.role)) {
+    next();
+  } else {
+    res.status(403);
+    throw new Error('Not authorized as hotel staff');
+  }
+};
+
+module.exports = isStaff;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Middleware for public routes that personalise responses for signed-in users
+ *
+ * Sets req.user when a valid token is sent and carries on as a guest
+ * otherwise, so a missing or expired token never blocks the request.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const optionalAuth = async (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      req.user = await User.findById(decoded.id).select('-password');
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
\ No newline at end of file
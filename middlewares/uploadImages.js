@@ -0,0 +1,41 @@
+const multer = require('multer');
+
+/**
+ * Image types accepted for upload
+ */
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Most files accepted in one request
+ */
+const MAX_FILES = 10;
+
+const upload = multer({
+  // Files stay in memory until the image service has checked and stored them
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 5) * 1024 * 1024,
+    files: MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `${file.originalname} is not a JPEG, PNG or WebP image`;
+      cb(error);
+    }
+  }
+});
+
+/**
+ * Middleware to read multipart image uploads sent in the "images" field
+ *
+ * Sets req.files to the uploaded files, each with its contents in buffer.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const uploadImages = upload.array('images', MAX_FILES);
+
+module.exports = uploadImages;
\ No newline at end of file
@@ -25,7 +25,8 @@ const schemas = {
     name: Joi.string().required().max(50).trim(),
     email: Joi.string().required().email(),
     password: Joi.string().required().min(6),
-    role: Joi.string().valid('user', 'admin')
+    role: Joi.string().valid('user', 'staff', 'admin'),
+    hotelIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
   }),
   
   userLogin: Joi.object({
@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 
+// A priced tax, fee or discount line on a booking
+const LineItemSchema = new mongoose.Schema({
+  name: String,
+  category: String,
+  type: String,
+  rate: Number,
+  isInclusive: Boolean,
+  amount: Number
+}, { _id: false });
+
 const BookingSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,6 +26,24 @@ const BookingSchema = new mongoose.Schema({
     ref: 'Hotel',
     required: [true, 'Hotel ID is required']
   },
+  // Room type sold; any free room of this type can be assigned
+  roomType: String,
+  // How the current room was chosen for the booking
+  roomAssignment: {
+    method: {
+      type: String,
+      enum: ['selected', 'automatic', 'reassigned'],
+      default: 'selected'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   startDate: {
     type: Date,
     required: [true, 'Please add a check-in date']
@@ -31,13 +59,83 @@ const BookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: ['pending', 'confirmed', 'checked_in', 'completed', 'cancelled', 'expired', 'no_show'],
     default: 'confirmed'
   },
+  // Set while a pending booking holds its room-nights awaiting payment
+  holdExpiresAt: Date,
+  // Actual arrival and departure, recorded by the front desk
+  checkedInAt: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkedOutAt: Date,
+  checkedOutBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When the guest was reminded of the stay; cleared if the dates change
+  upcomingStayNotifiedAt: Date,
+  // Amounts are stored in the hotel's currency
+  currency: String,
+  // Currency the guest saw prices in, with the rate used at booking time
+  displayCurrency: String,
+  exchangeRate: Number,
+  displayTotalPrice: Number,
+  subtotal: Number,
+  discounts: [LineItemSchema],
+  taxes: [LineItemSchema],
+  fees: [LineItemSchema],
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  feeTotal: {
+    type: Number,
+    default: 0
+  },
   totalPrice: {
     type: Number,
     required: [true, 'Please add total price']
   },
+  // Snapshot of the rate plan booked, so later plan edits don't change it
+  ratePlan: {
+    code: String,
+    name: String,
+    inclusions: [String],
+    cancellationPolicy: {
+      isRefundable: Boolean,
+      freeCancellationHours: Number,
+      latePenalty: String,
+      penaltyPercentage: Number
+    }
+  },
+  // Promo code redeemed for this booking
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String
+  },
+  // Price of each night of the stay, as charged
+  nightlyRates: [{
+    _id: false,
+    date: Date,
+    rate: Number,
+    source: {
+      type: String,
+      enum: ['base', 'season', 'override']
+    },
+    season: String,
+    weekendSurcharge: Number,
+    ratePlanAdjustment: Number
+  }],
   paymentInfo: {
     paymentMethod: {
       type: String,
@@ -45,21 +143,113 @@ const BookingSchema = new mongoose.Schema({
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'authorized', 'partially_paid', 'completed', 'failed', 'refunded', 'partially_refunded', 'voided'],
       default: 'pending'
     },
-    transactionId: String
+    provider: String,
+    transactionId: String,
+    // Amount due when the booking was made, per the hotel's deposit policy
+    depositAmount: Number,
+    // Captured minus refunded, kept in step with payments by the payment service
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
+    balanceDue: {
+      type: Number,
+      default: 0
+    },
+    // Deposit, balance and any other payments taken for this booking
+    payments: [{
+      kind: {
+        type: String,
+        enum: ['deposit', 'balance', 'full', 'additional'],
+        default: 'full'
+      },
+      amount: Number,
+      amountRefunded: {
+        type: Number,
+        default: 0
+      },
+      status: {
+        type: String,
+        enum: ['authorized', 'captured', 'partially_refunded', 'refunded', 'voided']
+      },
+      transactionId: String,
+      paymentMethod: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Every gateway call made for this booking, in order
+    transactions: [{
+      type: {
+        type: String,
+        enum: ['authorize', 'capture', 'refund', 'void']
+      },
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['succeeded', 'failed']
+      },
+      transactionId: String,
+      message: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   specialRequests: {
     type: String,
     maxlength: [500, 'Special requests cannot be more than 500 characters']
   },
+  cancellation: {
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    penaltyAmount: Number,
+    refundAmount: Number
+  },
+  modifications: [{
+    previous: {
+      roomId: mongoose.Schema.Types.ObjectId,
+      startDate: Date,
+      endDate: Date,
+      guestCount: Number
+    },
+    previousTotalPrice: Number,
+    newTotalPrice: Number,
+    // Positive amounts are owed by the guest, negative amounts are refunded
+    priceDifference: Number,
+    modifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    modifiedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Lets the hold sweeper find expired holds quickly
+BookingSchema.index({ status: 1, holdExpiresAt: 1 });
+// Lets the stay lifecycle and reminder jobs find arrivals and finished stays
+BookingSchema.index({ status: 1, startDate: 1 });
+BookingSchema.index({ status: 1, endDate: 1 });
+
 // Validate that end date is after start date
 BookingSchema.pre('validate', function(next) {
   if (this.startDate >= this.endDate) {
@@ -77,4 +267,9 @@ BookingSchema.virtual('durationInDays').get(function() {
   return diffDays;
 });
 
+// Check whether the guest still owes money for the stay
+BookingSchema.methods.hasOutstandingBalance = function() {
+  return (this.paymentInfo.balanceDue || 0) > 0;
+};
+
 module.exports = mongoose.model('Booking', BookingSchema);
\ No newline at end of file
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Booking fields whose changes are written to the history
+const TRACKED_FIELDS = {
+  status: booking => booking.status,
+  paymentStatus: booking => booking.paymentInfo && booking.paymentInfo.paymentStatus,
+  amountPaid: booking => booking.paymentInfo && booking.paymentInfo.amountPaid
+};
+
+// One change to a booking's status or payment state
+const BookingHistorySchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required']
+  },
+  field: {
+    type: String,
+    enum: Object.keys(TRACKED_FIELDS),
+    required: [true, 'Please specify the field that changed']
+  },
+  previousValue: mongoose.Schema.Types.Mixed,
+  newValue: mongoose.Schema.Types.Mixed,
+  // User who made the change; empty for changes made by background jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+BookingHistorySchema.index({ bookingId: 1, createdAt: 1 });
+
+/**
+ * Take the tracked values of a booking before changing it
+ * @param {Object} booking - Booking document
+ * @returns {Object} Tracked field values
+ */
+BookingHistorySchema.statics.snapshot = function(booking) {
+  return Object.keys(TRACKED_FIELDS).reduce((values, field) => {
+    values[field] = TRACKED_FIELDS[field](booking);
+    return values;
+  }, {});
+};
+
+/**
+ * Write an entry for every tracked field that differs from the snapshot
+ *
+ * The booking change has already been saved by the time this runs, so a
+ * failure to write the history is logged rather than failing the request.
+ *
+ * @param {Object} booking - Booking after the change
+ * @param {Object|null} previous - Snapshot taken before the change; null for a new booking
+ * @param {Object} options - Who made the change and why
+ * @param {ObjectId} [options.actor] - User who made the change
+ * @param {String} [options.reason] - Reason for the change
+ * @returns {Promise<Array>} History entries written
+ */
+BookingHistorySchema.statics.recordChanges = async function(booking, previous, { actor, reason } = {}) {
+  const current = this.snapshot(booking);
+
+  const entries = Object.keys(current)
+    .filter(field => current[field] !== undefined)
+    .filter(field => !previous || previous[field] !== current[field])
+    .map(field => ({
+      bookingId: booking._id,
+      field,
+      previousValue: previous ? previous[field] : null,
+      newValue: current[field],
+      actor,
+      reason
+    }));
+
+  if (!entries.length) {
+    return [];
+  }
+
+  try {
+    return await this.insertMany(entries);
+  } catch (error) {
+    console.error(`Error recording history for booking ${booking._id}: ${error.message}`);
+    return [];
+  }
+};
+
+module.exports = mongoose.model('BookingHistory', BookingHistorySchema);
\ No newline at end of file
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const CouponUsage = require('./CouponUsage');
+
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a promo code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Code cannot be more than 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Please specify the discount type']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add a discount amount'],
+    min: [0, 'Discount must be a positive number']
+  },
+  validFrom: Date,
+  validUntil: Date,
+  minNights: {
+    type: Number,
+    default: 1,
+    min: [1, 'Minimum nights must be at least 1']
+  },
+  // Leave empty for unlimited use
+  maxUses: Number,
+  maxUsesPerUser: Number,
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Limit the coupon to one hotel and/or some room types
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel'
+  },
+  roomTypes: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Validate the percentage range and validity window
+CouponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.amount > 100) {
+    this.invalidate('amount', 'Percentage discount cannot be more than 100');
+  }
+  if (this.validFrom && this.validUntil && this.validFrom > this.validUntil) {
+    this.invalidate('validUntil', 'Coupon must end after it starts');
+  }
+  next();
+});
+
+/**
+ * Explain why the coupon does not cover a stay's length, hotel or room type
+ * @param {Object} stay - Stay details
+ * @param {Object} stay.room - Room document
+ * @param {Number} stay.nights - Number of nights
+ * @returns {String|null} Reason, or null if the stay is in scope
+ */
+CouponSchema.methods.getScopeViolation = function({ room, nights }) {
+  const hotelId = room.populated('hotelId') || room.hotelId;
+
+  if (nights < this.minNights) {
+    return `Promo code ${this.code} requires a stay of at least ${this.minNights} nights`;
+  }
+  if (this.hotelId && this.hotelId.toString() !== hotelId.toString()) {
+    return `Promo code ${this.code} is not valid for this hotel`;
+  }
+  if (this.roomTypes.length && !this.roomTypes.includes(room.roomType)) {
+    return `Promo code ${this.code} is not valid for ${room.roomType} rooms`;
+  }
+
+  return null;
+};
+
+/**
+ * Explain why the coupon cannot be redeemed for a stay
+ * @param {Object} stay - Stay details
+ * @param {Object} stay.room - Room document
+ * @param {Number} stay.nights - Number of nights
+ * @param {String} [stay.userId] - Guest redeeming the coupon
+ * @returns {Promise<String|null>} Reason, or null if the coupon applies
+ */
+CouponSchema.methods.getIneligibilityReason = async function({ room, nights, userId }) {
+  const now = new Date();
+
+  if (!this.isActive) {
+    return `Promo code ${this.code} is no longer active`;
+  }
+  if ((this.validFrom && now < this.validFrom) || (this.validUntil && now > this.validUntil)) {
+    return `Promo code ${this.code} is not valid at this time`;
+  }
+
+  const scopeViolation = this.getScopeViolation({ room, nights });
+
+  if (scopeViolation) {
+    return scopeViolation;
+  }
+  if (this.maxUses && this.usedCount >= this.maxUses) {
+    return `Promo code ${this.code} has been fully redeemed`;
+  }
+
+  if (userId && this.maxUsesPerUser) {
+    const usage = await CouponUsage.findOne({ couponId: this._id, userId });
+
+    if (usage && usage.count >= this.maxUsesPerUser) {
+      return `You have already used promo code ${this.code} the maximum number of times`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Calculate the discount for an amount
+ * @param {Number} amount - Amount the discount applies to
+ * @returns {Number} Discount, never more than the amount
+ */
+CouponSchema.methods.calculateDiscount = function(amount) {
+  const discount = this.discountType === 'percentage'
+    ? amount * this.amount / 100
+    : this.amount;
+
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+/**
+ * Count one use of the coupon against its global and per-user caps
+ *
+ * Both counters are incremented with conditional updates, so concurrent
+ * redemptions can never push a coupon past either limit.
+ *
+ * @param {ObjectId} couponId - Coupon to redeem
+ * @param {ObjectId} userId - Guest redeeming it
+ * @returns {Promise<Boolean>} True if the use was recorded
+ */
+CouponSchema.statics.redeem = async function(couponId, userId) {
+  const coupon = await this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!coupon) {
+    return false;
+  }
+
+  try {
+    // When the user is at the cap the filter misses and the upsert hits the
+    // unique (couponId, userId) index instead of creating a second counter
+    await CouponUsage.findOneAndUpdate(
+      {
+        couponId,
+        userId,
+        ...(coupon.maxUsesPerUser ? { count: { $lt: coupon.maxUsesPerUser } } : {})
+      },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    await this.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } });
+
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  return true;
+};
+
+/**
+ * Give back a use of the coupon, e.g. when the booking is cancelled
+ * @param {ObjectId} couponId - Coupon that was redeemed
+ * @param {ObjectId} userId - Guest who redeemed it
+ * @returns {Promise<void>}
+ */
+CouponSchema.statics.releaseRedemption = async function(couponId, userId) {
+  await this.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await CouponUsage.updateOne(
+    { couponId, userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+module.exports = mongoose.model('Coupon', CouponSchema);
\ No newline at end of file
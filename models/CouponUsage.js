@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Per-user redemption counter for a coupon
+const CouponUsageSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: [true, 'Coupon ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+});
+
+CouponUsageSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', CouponUsageSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { TEMPLATE_NAMES } = require('../services/email/templates');
+
+// A rendered email waiting in, or sent from, the delivery queue
+const EmailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Please add a recipient']
+  },
+  template: {
+    type: String,
+    enum: TEMPLATE_NAMES,
+    required: [true, 'Please specify a template']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Please add a subject']
+  },
+  text: String,
+  html: String,
+  // Record the email is about, e.g. a booking
+  relatedId: mongoose.Schema.Types.ObjectId,
+  relatedType: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Earliest time of the next attempt; while sending, when the attempt is
+  // given up on and the message becomes due again
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Lets the email queue find messages that are due
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailMessage', EmailMessageSchema);
\ No newline at end of file
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Units of a currency per one unit of the base currency (BASE_CURRENCY)
+const ExchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Please add a currency code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Please add a valid ISO 4217 currency code']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Please add an exchange rate'],
+    min: [0.000001, 'Exchange rate must be greater than zero']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
\ No newline at end of file
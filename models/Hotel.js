@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const StayRestrictionSchema = require('./schemas/StayRestriction');
+const ImageSchema = require('./schemas/Image');
+const { deleteImageFiles } = require('../services/imageService');
 
 const HotelSchema = new mongoose.Schema({
   name: {
@@ -36,14 +39,100 @@ const HotelSchema = new mongoose.Schema({
     min: [1, 'Rating must be at least 1'],
     max: [5, 'Rating cannot be more than 5']
   },
+  // Guest rating, kept up to date from visible reviews
+  averageRating: {
+    type: Number,
+    default: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
   amenities: {
     type: [String],
     default: []
   },
+  // Gallery, managed through the image upload endpoints
   images: {
-    type: [String],
+    type: [ImageSchema],
     default: []
   },
+  // Currency all of the hotel's prices are set and charged in
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Please add a valid ISO 4217 currency code']
+  },
+  // Taxes and fees applied to every stay at this hotel
+  taxes: [{
+    name: {
+      type: String,
+      required: [true, 'Please add a tax name'],
+      trim: true
+    },
+    category: {
+      type: String,
+      enum: ['tax', 'fee'],
+      default: 'tax'
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'per_person_per_night', 'per_night', 'per_stay'],
+      required: [true, 'Please specify how the tax is charged']
+    },
+    // Percentage for percentage taxes, otherwise a fixed amount
+    rate: {
+      type: Number,
+      required: [true, 'Please add a tax rate'],
+      min: [0, 'Tax rate must be a positive number']
+    },
+    // Inclusive taxes are already part of the room price and are only reported
+    isInclusive: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  cancellationPolicy: {
+    isRefundable: {
+      type: Boolean,
+      default: true
+    },
+    // Hours before check-in until which cancellation is free
+    freeCancellationHours: {
+      type: Number,
+      default: 48,
+      min: [0, 'Free cancellation hours cannot be negative']
+    },
+    latePenalty: {
+      type: String,
+      enum: ['first_night', 'percentage', 'full'],
+      default: 'first_night'
+    },
+    penaltyPercentage: {
+      type: Number,
+      default: 0,
+      min: [0, 'Penalty percentage must be at least 0'],
+      max: [100, 'Penalty percentage cannot be more than 100']
+    }
+  },
+  // Amount taken when booking; the rest is due before check-out
+  depositPolicy: {
+    type: {
+      type: String,
+      enum: ['full', 'percentage', 'first_night'],
+      default: 'full'
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+      min: [0, 'Deposit percentage must be at least 0'],
+      max: [100, 'Deposit percentage cannot be more than 100']
+    }
+  },
+  // Minimum/maximum stay and closed arrival/departure dates
+  stayRestrictions: [StayRestrictionSchema],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -58,6 +147,9 @@ const HotelSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Lets hotel listings sort by guest rating
+HotelSchema.index({ averageRating: -1 });
+
 // Virtual for rooms in this hotel
 HotelSchema.virtual('rooms', {
   ref: 'Room',
@@ -66,10 +158,20 @@ HotelSchema.virtual('rooms', {
   justOne: false
 });
 
-// Cascade delete rooms when a hotel is deleted
-HotelSchema.pre('remove', async function(next) {
-  await this.model('Room').deleteMany({ hotelId: this._id });
-  next();
+// Images saved before uploads were supported are plain URL strings
+HotelSchema.pre('init', function(doc) {
+  doc.images = ImageSchema.castUrls(doc.images);
+});
+
+// Cascade delete rooms, one by one so their image files go too
+HotelSchema.pre('deleteOne', { document: true, query: false }, async function() {
+  const rooms = await this.model('Room').find({ hotelId: this._id });
+  await Promise.all(rooms.map(room => room.deleteOne()));
+});
+
+// Remove the hotel's image files once the hotel is gone
+HotelSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await deleteImageFiles(this.images);
 });
 
 module.exports = mongoose.model('Hotel', HotelSchema);
\ No newline at end of file
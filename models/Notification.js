@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * Format a date as YYYY-MM-DD for notification messages
+ * @param {Date} date - Date to format
+ * @returns {String} Formatted date
+ */
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Title and message of each booking notification type
+ */
+const BOOKING_MESSAGES = {
+  booking_confirmed: (booking, hotelName) => ({
+    title: 'Booking confirmed',
+    message: `Your stay at ${hotelName} from ${formatDate(booking.startDate)} to ${formatDate(booking.endDate)} is confirmed.`
+  }),
+  booking_modified: (booking, hotelName) => ({
+    title: 'Booking updated',
+    message: `Your stay at ${hotelName} is now from ${formatDate(booking.startDate)} to ${formatDate(booking.endDate)} for ${booking.guestCount} guest(s).`
+  }),
+  booking_cancelled: (booking, hotelName) => {
+    const refundAmount = booking.cancellation && booking.cancellation.refundAmount;
+    const refund = refundAmount > 0
+      ? ` A refund of ${[refundAmount, booking.currency].filter(Boolean).join(' ')} is on its way.`
+      : '';
+
+    return {
+      title: 'Booking cancelled',
+      message: `Your stay at ${hotelName} from ${formatDate(booking.startDate)} to ${formatDate(booking.endDate)} has been cancelled.${refund}`
+    };
+  },
+  upcoming_stay: (booking, hotelName) => ({
+    title: 'Your stay is coming up',
+    message: `Your stay at ${hotelName} starts on ${formatDate(booking.startDate)}. We look forward to welcoming you.`
+  })
+};
+
+// In-app message for a user, mirroring the notifications table in realtime-setup.sql
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(BOOKING_MESSAGES),
+    required: [true, 'Please specify a notification type']
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a title']
+  },
+  message: {
+    type: String,
+    required: [true, 'Please add a message']
+  },
+  // Record the notification is about, e.g. a booking
+  relatedId: mongoose.Schema.Types.ObjectId,
+  relatedType: String,
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Lets the notification center list and count a user's unread messages
+NotificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+
+/**
+ * Tell a booking's guest about a change to their booking
+ *
+ * Failures are logged rather than thrown so a notification problem never
+ * undoes the booking change it reports.
+ * @param {Object} booking - Booking document; hotelId may be populated
+ * @param {String} type - booking_confirmed, booking_modified, booking_cancelled or upcoming_stay
+ * @returns {Promise<Object|null>} Notification created, or null on failure
+ */
+NotificationSchema.statics.notifyBooking = async function(booking, type) {
+  try {
+    const hotel = booking.hotelId && booking.hotelId.name
+      ? booking.hotelId
+      : await mongoose.model('Hotel').findById(booking.hotelId).select('name');
+    const hotelName = hotel ? hotel.name : 'your hotel';
+
+    return await this.create({
+      userId: booking.userId._id || booking.userId,
+      type,
+      ...BOOKING_MESSAGES[type](booking, hotelName),
+      relatedId: booking._id,
+      relatedType: 'booking'
+    });
+  } catch (error) {
+    console.error(`Error notifying guest of booking ${booking._id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
\ No newline at end of file
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const ReviewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: [true, 'Hotel ID is required']
+  },
+  // One review per stay
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required'],
+    unique: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please add a rating'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot be more than 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  images: {
+    type: [String],
+    default: []
+  },
+  // Reply from the hotel, shown under the review
+  response: {
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Response cannot be more than 2000 characters']
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  },
+  // Flagged reviews stay visible until a moderator hides them
+  status: {
+    type: String,
+    enum: ['published', 'flagged', 'hidden'],
+    default: 'published'
+  },
+  moderation: {
+    reason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+ReviewSchema.index({ hotelId: 1, status: 1, createdAt: -1 });
+
+/**
+ * Recalculate a hotel's average rating and review count from its visible reviews
+ * @param {ObjectId} hotelId - Hotel to update
+ * @returns {Promise<Object>} Mongoose update result
+ */
+ReviewSchema.statics.updateHotelRating = async function(hotelId) {
+  const [stats] = await this.aggregate([
+    { $match: { hotelId: new mongoose.Types.ObjectId(hotelId), status: { $ne: 'hidden' } } },
+    { $group: { _id: '$hotelId', averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]);
+
+  return mongoose.model('Hotel').updateOne({ _id: hotelId }, {
+    averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+    reviewCount: stats ? stats.reviewCount : 0
+  });
+};
+
+// Keep the hotel's rating in step with its reviews
+ReviewSchema.post('save', async function() {
+  await this.constructor.updateHotelRating(this.hotelId);
+});
+
+ReviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.updateHotelRating(this.hotelId);
+});
+
+module.exports = mongoose.model('Review', ReviewSchema);
\ No newline at end of file
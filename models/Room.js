@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const StayRestrictionSchema = require('./schemas/StayRestriction');
+const ImageSchema = require('./schemas/Image');
+const { deleteImageFiles } = require('../services/imageService');
+const { startOfUTCDay } = require('../utils/dateUtils');
+const { findViolation } = require('../utils/stayRestrictions');
+
+// Housekeeping statuses each status can move to
+const HOUSEKEEPING_TRANSITIONS = {
+  dirty: ['cleaning', 'clean'],
+  cleaning: ['clean', 'dirty'],
+  clean: ['inspected', 'cleaning', 'dirty'],
+  inspected: ['cleaning', 'dirty']
+};
 
 const RoomSchema = new mongoose.Schema({
   hotelId: {
@@ -35,14 +48,133 @@ const RoomSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Date-range prices that replace pricePerNight, e.g. a summer season
+  seasonalRates: [{
+    name: {
+      type: String,
+      trim: true
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Please add a season start date']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Please add a season end date']
+    },
+    pricePerNight: {
+      type: Number,
+      required: [true, 'Please add a seasonal price per night'],
+      min: [0, 'Price must be a positive number']
+    }
+  }],
+  weekendSurcharge: {
+    // Days of the week (0 = Sunday) that count as weekend nights
+    days: {
+      type: [Number],
+      default: [5, 6]
+    },
+    type: {
+      type: String,
+      enum: ['fixed', 'percentage'],
+      default: 'fixed'
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Surcharge must be a positive number']
+    }
+  },
+  // Single-date prices that win over seasons and weekend surcharges
+  rateOverrides: [{
+    date: {
+      type: Date,
+      required: [true, 'Please add an override date']
+    },
+    pricePerNight: {
+      type: Number,
+      required: [true, 'Please add an override price per night'],
+      min: [0, 'Price must be a positive number']
+    }
+  }],
+  // Ways of selling the room, e.g. non-refundable or breakfast included
+  ratePlans: [{
+    code: {
+      type: String,
+      required: [true, 'Please add a rate plan code'],
+      uppercase: true,
+      trim: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Please add a rate plan name'],
+      trim: true
+    },
+    // Applied to every night: a percentage of the nightly rate or a fixed amount
+    priceModifier: {
+      type: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        default: 'percentage'
+      },
+      amount: {
+        type: Number,
+        default: 0
+      }
+    },
+    // Fields set here override the hotel's cancellation policy
+    cancellationPolicy: {
+      isRefundable: Boolean,
+      freeCancellationHours: {
+        type: Number,
+        min: [0, 'Free cancellation hours cannot be negative']
+      },
+      latePenalty: {
+        type: String,
+        enum: ['first_night', 'percentage', 'full']
+      },
+      penaltyPercentage: {
+        type: Number,
+        min: [0, 'Penalty percentage must be at least 0'],
+        max: [100, 'Penalty percentage cannot be more than 100']
+      }
+    },
+    inclusions: {
+      type: [String],
+      default: []
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
   description: {
     type: String,
     maxlength: [500, 'Description cannot be more than 500 characters']
   },
+  // Gallery, managed through the image upload endpoints
   images: {
-    type: [String],
+    type: [ImageSchema],
     default: []
   },
+  // Checked together with the hotel's restrictions
+  stayRestrictions: [StayRestrictionSchema],
+  housekeeping: {
+    status: {
+      type: String,
+      enum: Object.keys(HOUSEKEEPING_TRANSITIONS),
+      default: 'clean'
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Housekeeping notes cannot be more than 500 characters']
+    },
+    updatedAt: Date,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -52,6 +184,30 @@ const RoomSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Rate plan codes must be unique within a room
+RoomSchema.pre('validate', function(next) {
+  const codes = this.ratePlans.map(plan => plan.code);
+  if (new Set(codes).size !== codes.length) {
+    this.invalidate('ratePlans', 'Rate plan codes must be unique within a room');
+  }
+  next();
+});
+
+// Images saved before uploads were supported are plain URL strings
+RoomSchema.pre('init', function(doc) {
+  doc.images = ImageSchema.castUrls(doc.images);
+});
+
+// Remove the room's image files once the room is gone
+RoomSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await deleteImageFiles(this.images);
+});
+
+// Virtual for the rate plans guests can currently book
+RoomSchema.virtual('availableRatePlans').get(function() {
+  return (this.ratePlans || []).filter(plan => plan.isActive);
+});
+
 // Virtual for bookings of this room
 RoomSchema.virtual('bookings', {
   ref: 'Booking',
@@ -60,33 +216,79 @@ RoomSchema.virtual('bookings', {
   justOne: false
 });
 
+// Method to find a bookable rate plan by its code
+RoomSchema.methods.findRatePlan = function(code) {
+  return (this.ratePlans || []).find(
+    plan => plan.isActive && plan.code === String(code).trim().toUpperCase()
+  ) || null;
+};
+
+// Method to check whether the room can be handed to an arriving guest
+RoomSchema.methods.isReadyForGuest = function() {
+  return ['clean', 'inspected'].includes(this.housekeeping && this.housekeeping.status);
+};
+
+// Method to check whether housekeeping can move the room to a status
+RoomSchema.methods.canChangeHousekeepingStatus = function(status) {
+  const current = (this.housekeeping && this.housekeeping.status) || 'clean';
+  return (HOUSEKEEPING_TRANSITIONS[current] || []).includes(status);
+};
+
+// Method to find the hotel or room stay restriction a stay breaks
+RoomSchema.methods.getStayRestrictionViolation = async function(startDate, endDate) {
+  const Hotel = mongoose.model('Hotel');
+  const hotel = await Hotel.findById(this.populated('hotelId') || this.hotelId)
+    .select('stayRestrictions');
+  
+  return findViolation(
+    [...(hotel ? hotel.stayRestrictions : []), ...this.stayRestrictions],
+    startDate,
+    endDate
+  );
+};
+
 // Method to check if room is available for a date range
 RoomSchema.methods.isAvailableForDates = async function(startDate, endDate) {
   if (!this.isAvailable) {
     return false;
   }
   
-  const Booking = mongoose.model('Booking');
+  const RoomNight = mongoose.model('RoomNight');
   
-  // Convert to Date objects if they're not already
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  
-  // Find any overlapping bookings
-  const bookings = await Booking.find({
+  // Any reserved night inside the stay makes the room unavailable
+  const reservedNight = await RoomNight.exists({
     roomId: this._id,
-    status: 'confirmed',
-    $or: [
-      // New booking starts during an existing booking
-      { startDate: { $lte: end }, endDate: { $gte: start } },
-      // New booking contains an existing booking
-      { startDate: { $gte: start, $lte: end } },
-      // Existing booking contains new booking
-      { startDate: { $lte: start }, endDate: { $gte: end } }
-    ]
+    date: {
+      $gte: startOfUTCDay(startDate),
+      $lt: startOfUTCDay(endDate)
+    }
   });
   
-  return bookings.length === 0;
+  return !reservedNight;
+};
+
+/**
+ * Find the rooms matching a filter that are free for a whole stay
+ * @param {Object} filter - Room query, e.g. hotel and room type
+ * @param {String|Date} startDate - Check-in date
+ * @param {String|Date} endDate - Check-out date
+ * @returns {Promise<Array>} Free rooms, cheapest first
+ */
+RoomSchema.statics.findAvailable = async function(filter, startDate, endDate) {
+  const RoomNight = mongoose.model('RoomNight');
+
+  const rooms = await this.find({ ...filter, isAvailable: true }).sort('pricePerNight roomNumber');
+
+  const reservedRoomIds = await RoomNight.distinct('roomId', {
+    roomId: { $in: rooms.map(room => room._id) },
+    date: {
+      $gte: startOfUTCDay(startDate),
+      $lt: startOfUTCDay(endDate)
+    }
+  });
+  const reserved = reservedRoomIds.map(id => id.toString());
+
+  return rooms.filter(room => !reserved.includes(room._id.toString()));
 };
 
 module.exports = mongoose.model('Room', RoomSchema);
\ No newline at end of file
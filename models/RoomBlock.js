@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { startOfUTCDay } = require('../utils/dateUtils');
+
+// A date range a room is taken out of sale, e.g. for renovation
+const RoomBlockSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Room ID is required']
+  },
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: [true, 'Hotel ID is required']
+  },
+  // Nights from startDate up to, not including, endDate are blocked
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a block start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add a block end date']
+  },
+  type: {
+    type: String,
+    enum: ['maintenance', 'out_of_order', 'owner_use', 'other'],
+    default: 'maintenance'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please add a reason for the block'],
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RoomBlockSchema.index({ roomId: 1, startDate: 1 });
+
+// Snap both dates to UTC midnight so the block covers whole nights, the same
+// nights RoomNight blocks; then check that end date is after start date
+RoomBlockSchema.pre('validate', function(next) {
+  if (this.startDate) {
+    this.startDate = startOfUTCDay(this.startDate);
+  }
+  if (this.endDate) {
+    this.endDate = startOfUTCDay(this.endDate);
+  }
+
+  if (this.startDate >= this.endDate) {
+    this.invalidate('endDate', 'Block end date must be after its start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('RoomBlock', RoomBlockSchema);
\ No newline at end of file
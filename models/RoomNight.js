@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const RoomBlock = require('./RoomBlock');
+const { getNights, startOfUTCDay } = require('../utils/dateUtils');
+
+const RoomNightSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Room ID is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please add a date']
+  },
+  // A night is held either by a booking or by a room block
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  blockId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomBlock'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A room can only be sold once per night
+RoomNightSchema.index({ roomId: 1, date: 1 }, { unique: true });
+RoomNightSchema.index({ bookingId: 1 });
+RoomNightSchema.index({ blockId: 1 });
+
+// Validate that the night has exactly one holder
+RoomNightSchema.pre('validate', function(next) {
+  if (!this.bookingId === !this.blockId) {
+    this.invalidate('bookingId', 'A room night must be held by a booking or a room block');
+  }
+  next();
+});
+
+/**
+ * Claim every night of a stay for a booking
+ *
+ * The unique (roomId, date) index makes each claim atomic, so when two
+ * requests race for the same night only one insert succeeds. Nights the
+ * booking already holds are skipped. If any other night is taken, the
+ * nights claimed by this call are released again.
+ *
+ * @param {ObjectId} roomId - Room to reserve
+ * @param {ObjectId} bookingId - Booking the nights belong to
+ * @param {String|Date} startDate - Check-in date
+ * @param {String|Date} endDate - Check-out date
+ * @returns {Promise<Boolean>} True if all nights were reserved
+ */
+RoomNightSchema.statics.reserve = async function(roomId, bookingId, startDate, endDate) {
+  const held = await this.find({ roomId, bookingId }).select('date');
+  const heldDates = held.map(night => night.date.getTime());
+
+  const nights = getNights(startDate, endDate)
+    .filter(date => !heldDates.includes(date.getTime()))
+    .map(date => ({
+      _id: new mongoose.Types.ObjectId(),
+      roomId,
+      date,
+      bookingId
+    }));
+
+  try {
+    await this.insertMany(nights, { ordered: true });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Roll back the nights inserted before the conflicting one
+    await this.deleteMany({ _id: { $in: nights.map(night => night._id) } });
+    return false;
+  }
+};
+
+/**
+ * Release the nights a booking holds outside of the given stay
+ * @param {ObjectId} bookingId - Booking whose nights should be trimmed
+ * @param {ObjectId} roomId - Room of the stay to keep
+ * @param {String|Date} startDate - Check-in date of the stay to keep
+ * @param {String|Date} endDate - Check-out date of the stay to keep
+ * @returns {Promise<Object>} Mongoose delete result
+ */
+RoomNightSchema.statics.releaseOutside = function(bookingId, roomId, startDate, endDate) {
+  return releaseNights(this, {
+    bookingId,
+    $or: [
+      { roomId: { $ne: roomId } },
+      { date: { $lt: startOfUTCDay(startDate) } },
+      { date: { $gte: startOfUTCDay(endDate) } }
+    ]
+  });
+};
+
+/**
+ * Claim the free nights of a date range for a room block
+ *
+ * Nights already held by bookings are left with them, so a forced block
+ * does not take a room away from a guest who has already booked it; they
+ * pass to the block when the booking releases them.
+ *
+ * @param {ObjectId} roomId - Room to block
+ * @param {ObjectId} blockId - Block the nights belong to
+ * @param {String|Date} startDate - First blocked night
+ * @param {String|Date} endDate - Day after the last blocked night
+ * @returns {Promise<Boolean>} False if a night was taken while claiming
+ */
+RoomNightSchema.statics.block = async function(roomId, blockId, startDate, endDate) {
+  const taken = await this.find({
+    roomId,
+    date: { $gte: startOfUTCDay(startDate), $lt: startOfUTCDay(endDate) }
+  }).select('date');
+  const takenDates = taken.map(night => night.date.getTime());
+
+  const nights = getNights(startDate, endDate)
+    .filter(date => !takenDates.includes(date.getTime()))
+    .map(date => ({
+      _id: new mongoose.Types.ObjectId(),
+      roomId,
+      date,
+      blockId
+    }));
+
+  try {
+    await this.insertMany(nights, { ordered: true });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    await this.deleteMany({ _id: { $in: nights.map(night => night._id) } });
+    return false;
+  }
+};
+
+/**
+ * Release all nights held by a booking
+ * @param {ObjectId} bookingId - Booking whose nights should be freed
+ * @returns {Promise<Object>} Mongoose delete result
+ */
+RoomNightSchema.statics.release = function(bookingId) {
+  return releaseNights(this, { bookingId });
+};
+
+/**
+ * Free booked nights, handing any that a room block covers to the block
+ *
+ * A forced block leaves booked nights with their booking; once the guest is
+ * moved or cancelled, those nights must not go back on sale.
+ *
+ * @param {Object} RoomNight - RoomNight model
+ * @param {Object} filter - Nights to free
+ * @returns {Promise<Object>} Mongoose delete result
+ */
+const releaseNights = async (RoomNight, filter) => {
+  const nights = await RoomNight.find(filter).select('roomId date');
+
+  if (!nights.length) {
+    return { acknowledged: true, deletedCount: 0 };
+  }
+
+  const result = await RoomNight.deleteMany({ _id: { $in: nights.map(night => night._id) } });
+
+  const blocks = await RoomBlock.find({
+    $or: nights.map(night => ({
+      roomId: night.roomId,
+      startDate: { $lte: night.date },
+      endDate: { $gt: night.date }
+    }))
+  }).select('roomId startDate endDate');
+
+  const claims = [];
+
+  nights.forEach(night => {
+    const block = blocks.find(entry =>
+      entry.roomId.equals(night.roomId) && entry.startDate <= night.date && entry.endDate > night.date
+    );
+
+    if (block) {
+      claims.push({ roomId: night.roomId, date: night.date, blockId: block._id });
+    }
+  });
+
+  if (claims.length) {
+    try {
+      await RoomNight.insertMany(claims, { ordered: false });
+    } catch (error) {
+      // A night someone else already holds again needs no claim
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  return result;
+};
+
+module.exports = mongoose.model('RoomNight', RoomNightSchema);
\ No newline at end of file
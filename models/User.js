@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -26,9 +27,23 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'staff', 'admin'],
     default: 'user'
   },
+  // Hotels a staff member works at; staff can only act on these hotels
+  hotelIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel'
+  }],
+  // Hash of the emailed password reset token, never the token itself
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -39,7 +54,7 @@ const UserSchema = new mongoose.Schema({
 UserSchema.pre('save', async function(next) {
   // Only hash password if it's modified (or new)
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -56,6 +71,30 @@ UserSchema.methods.getSignedJwtToken = function() {
   );
 };
 
+// Hash a password reset token for storage and lookup
+UserSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a password reset token, storing its hash and expiry
+UserSchema.methods.getResetPasswordToken = function(expiresInMinutes) {
+  const token = crypto.randomBytes(20).toString('hex');
+
+  this.resetPasswordToken = this.constructor.hashResetToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Check whether the user may act as staff at a hotel; admins work at every hotel
+UserSchema.methods.worksAtHotel = function(hotelId) {
+  if (this.role === 'admin') {
+    return true;
+  }
+
+  return this.role === 'staff' && this.hotelIds.some(id => id.equals(hotelId));
+};
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
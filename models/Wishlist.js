@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A hotel a user has saved for later
+const WishlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: [true, 'Hotel ID is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A hotel can only be saved once per user
+WishlistSchema.index({ userId: 1, hotelId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Wishlist', WishlistSchema);
\ No newline at end of file
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * Uploaded photo of a hotel or room, embedded in both Hotel and Room
+ */
+const ImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Please add an image URL']
+  },
+  thumbnailUrl: String,
+  // Storage keys of the files; images added as plain URLs have none
+  key: String,
+  thumbnailKey: String,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot be more than 200 characters']
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  // Position in the gallery, starting at 0
+  order: {
+    type: Number,
+    default: 0
+  },
+  width: Number,
+  height: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Convert images stored as plain URL strings, as they were before uploads
+ * were supported, into image objects
+ * @param {Array} images - Raw images array from the database
+ * @returns {Array} Image objects
+ */
+ImageSchema.castUrls = (images) => {
+  if (!Array.isArray(images)) {
+    return images;
+  }
+
+  return images.map((image, index) => (
+    typeof image === 'string' ? { url: image, order: index, isPrimary: index === 0 } : image
+  ));
+};
+
+module.exports = ImageSchema;
\ No newline at end of file
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Length-of-stay and arrival/departure rule for a date range, embedded in
+ * both Hotel and Room
+ */
+const StayRestrictionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a restriction name'],
+    trim: true
+  },
+  // The rule covers these dates inclusively
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a restriction start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add a restriction end date']
+  },
+  // Length limits apply to stays arriving within the range
+  minNights: {
+    type: Number,
+    min: [1, 'Minimum nights must be at least 1']
+  },
+  maxNights: {
+    type: Number,
+    min: [1, 'Maximum nights must be at least 1']
+  },
+  closedToArrival: {
+    type: Boolean,
+    default: false
+  },
+  closedToDeparture: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Validate the date range and night limits
+StayRestrictionSchema.pre('validate', function(next) {
+  if (this.startDate > this.endDate) {
+    this.invalidate('endDate', 'Restriction must end on or after its start date');
+  }
+  if (this.minNights && this.maxNights && this.minNights > this.maxNights) {
+    this.invalidate('maxNights', 'Maximum nights cannot be less than minimum nights');
+  }
+  next();
+});
+
+module.exports = StayRestrictionSchema;
\ No newline at end of file
@@ -4,15 +4,21 @@ const {
   login,
   getProfile,
   updateProfile,
-  updatePassword
+  updatePassword,
+  forgotPassword,
+  resetPassword
 } = require('../controllers/authController');
 const protect = require('../middlewares/authMiddleware');
+const optionalAuth = require('../middlewares/optionalAuth');
 
 const router = express.Router();
 
 // Public routes
-router.post('/register', register);
+// Signed-in admins can register staff with their role and hotels
+router.post('/register', optionalAuth, register);
 router.post('/login', login);
+router.post('/forgot-password', forgotPassword);
+router.put('/reset-password/:token', resetPassword);
 
 // Protected routes
 router.use(protect); // All routes below this middleware require authentication
@@ -1,27 +1,48 @@
 const express = require('express');
 const {
   createBooking,
+  holdBooking,
+  confirmBooking,
   getMyBookings,
   getAllBookings,
   getBooking,
-  cancelBooking
+  getBookingHistory,
+  updateBooking,
+  cancelBooking,
+  addPayment,
+  checkIn,
+  reassignRoom,
+  checkOut,
+  updatePayment
 } = require('../controllers/bookingController');
 const protect = require('../middlewares/authMiddleware');
 const isAdmin = require('../middlewares/isAdmin');
+const isStaff = require('../middlewares/isStaff');
 
 const router = express.Router();
 
 // All booking routes require authentication
 router.use(protect);
 
+// Admin only routes, registered before /:id so "all" is not read as an id
+router.get('/all', isAdmin, getAllBookings);
+router.put('/:id/payment', isAdmin, updatePayment);
+router.put('/:id/room', isAdmin, reassignRoom);
+
+// Front desk routes
+router.put('/:id/check-in', isStaff, checkIn);
+router.put('/:id/check-out', isStaff, checkOut);
+
 // User booking routes
 router.post('/', createBooking);
+router.post('/hold', holdBooking);
 router.get('/', getMyBookings);
 router.get('/:id', getBooking);
+router.get('/:id/history', getBookingHistory);
+router.put('/:id', updateBooking);
+router.patch('/:id', updateBooking);
+router.put('/:id/confirm', confirmBooking);
 router.put('/:id/cancel', cancelBooking);
-
-// Admin only routes
-router.use(isAdmin);
-router.get('/all', getAllBookings);
+router.post('/:id/payments', addPayment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  createCoupon,
+  getCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const protect = require('../middlewares/authMiddleware');
+const isAdmin = require('../middlewares/isAdmin');
+
+const router = express.Router();
+
+// All coupon routes are admin only
+router.use(protect);
+router.use(isAdmin);
+
+router.get('/', getCoupons);
+router.get('/:id', getCoupon);
+router.post('/', createCoupon);
+router.put('/:id', updateCoupon);
+router.delete('/:id', deleteCoupon);
+
+module.exports = router;
\ No newline at end of file
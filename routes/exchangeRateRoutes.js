@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+const protect = require('../middlewares/authMiddleware');
+const isAdmin = require('../middlewares/isAdmin');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getExchangeRates);
+
+// Protected admin routes
+router.use(protect);
+router.use(isAdmin);
+router.put('/:currency', setExchangeRate);
+router.delete('/:currency', deleteExchangeRate);
+
+module.exports = router;
\ No newline at end of file
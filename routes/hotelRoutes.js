@@ -2,24 +2,44 @@ const express = require('express');
 const {
   createHotel,
   getHotels,
+  searchHotels,
   getHotel,
+  checkHotelAvailability,
+  getHotelCalendar,
   updateHotel,
   deleteHotel
 } = require('../controllers/hotelController');
+const { getHousekeepingTasks } = require('../controllers/housekeepingController');
+const {
+  uploadHotelImages,
+  updateHotelImage,
+  deleteHotelImage
+} = require('../controllers/imageController');
 const protect = require('../middlewares/authMiddleware');
 const isAdmin = require('../middlewares/isAdmin');
+const isStaff = require('../middlewares/isStaff');
+const optionalAuth = require('../middlewares/optionalAuth');
+const uploadImages = require('../middlewares/uploadImages');
 
-// Include room router for nested routes
+// Include other resource routers for nested routes
 const roomRouter = require('./roomRoutes');
+const reviewRouter = require('./reviewRoutes');
 
 const router = express.Router();
 
 // Re-route into other resource routers
 router.use('/:hotelId/rooms', roomRouter);
+router.use('/:hotelId/reviews', reviewRouter);
 
 // Public routes
-router.get('/', getHotels);
+router.get('/', optionalAuth, getHotels);
+router.get('/search', optionalAuth, searchHotels);
 router.get('/:id', getHotel);
+router.post('/:id/check-availability', checkHotelAvailability);
+router.get('/:id/calendar', getHotelCalendar);
+
+// Front desk routes
+router.get('/:id/housekeeping', protect, isStaff, getHousekeepingTasks);
 
 // Protected admin routes
 router.use(protect);
@@ -27,5 +47,8 @@ router.use(isAdmin);
 router.post('/', createHotel);
 router.put('/:id', updateHotel);
 router.delete('/:id', deleteHotel);
+router.post('/:id/images', uploadImages, uploadHotelImages);
+router.put('/:id/images/:imageId', updateHotelImage);
+router.delete('/:id/images/:imageId', deleteHotelImage);
 
 module.exports = router;
\ No newline at end of file
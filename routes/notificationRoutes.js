@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead
+} = require('../controllers/notificationController');
+const protect = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// All notification routes belong to the signed-in user
+router.use(protect);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.put('/read-all', markAllAsRead);
+router.put('/:id/read', markAsRead);
+
+module.exports = router;
\ No newline at end of file
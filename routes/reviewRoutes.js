@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  createReview,
+  getReviews,
+  getAllReviews,
+  getReview,
+  updateReview,
+  deleteReview,
+  respondToReview,
+  moderateReview
+} = require('../controllers/reviewController');
+const protect = require('../middlewares/authMiddleware');
+const isAdmin = require('../middlewares/isAdmin');
+
+const router = express.Router({ mergeParams: true });
+
+// Admin only routes, registered before /:id so "all" is not read as an id
+router.get('/all', protect, isAdmin, getAllReviews);
+
+// Public routes
+router.get('/', getReviews);
+router.get('/:id', getReview);
+
+// Guest routes
+router.post('/', protect, createReview);
+router.put('/:id', protect, updateReview);
+router.delete('/:id', protect, deleteReview);
+
+// Hotel and moderation routes
+router.put('/:id/response', protect, isAdmin, respondToReview);
+router.put('/:id/moderation', protect, isAdmin, moderateReview);
+
+module.exports = router;
\ No newline at end of file
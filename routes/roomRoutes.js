@@ -5,10 +5,27 @@ const {
   getRoom,
   updateRoom,
   deleteRoom,
-  checkRoomAvailability
+  checkRoomAvailability,
+  getRoomQuote,
+  getRoomRates,
+  getRoomCalendar,
+  updateRoomRates
 } = require('../controllers/roomController');
+const {
+  getRoomBlocks,
+  createRoomBlock,
+  deleteRoomBlock
+} = require('../controllers/roomBlockController');
+const { updateHousekeeping } = require('../controllers/housekeepingController');
+const {
+  uploadRoomImages,
+  updateRoomImage,
+  deleteRoomImage
+} = require('../controllers/imageController');
 const protect = require('../middlewares/authMiddleware');
 const isAdmin = require('../middlewares/isAdmin');
+const isStaff = require('../middlewares/isStaff');
+const uploadImages = require('../middlewares/uploadImages');
 
 const router = express.Router({ mergeParams: true });
 
@@ -16,6 +33,12 @@ const router = express.Router({ mergeParams: true });
 router.get('/', getRooms);
 router.get('/:id', getRoom);
 router.post('/:id/check-availability', checkRoomAvailability);
+router.post('/:id/quote', getRoomQuote);
+router.get('/:id/rates', getRoomRates);
+router.get('/:id/calendar', getRoomCalendar);
+
+// Front desk routes
+router.put('/:id/housekeeping', protect, isStaff, updateHousekeeping);
 
 // Protected admin routes
 router.use(protect);
@@ -23,5 +46,12 @@ router.use(isAdmin);
 router.post('/', createRoom);
 router.put('/:id', updateRoom);
 router.delete('/:id', deleteRoom);
+router.put('/:id/rates', updateRoomRates);
+router.get('/:id/blocks', getRoomBlocks);
+router.post('/:id/blocks', createRoomBlock);
+router.delete('/:id/blocks/:blockId', deleteRoomBlock);
+router.post('/:id/images', uploadImages, uploadRoomImages);
+router.put('/:id/images/:imageId', updateRoomImage);
+router.delete('/:id/images/:imageId', deleteRoomImage);
 
 module.exports = router;
\ No newline at end of file
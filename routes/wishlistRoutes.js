@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist
+} = require('../controllers/wishlistController');
+const protect = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// All wishlist routes belong to the signed-in user
+router.use(protect);
+
+router.get('/', getWishlist);
+router.post('/', addToWishlist);
+router.delete('/:hotelId', removeFromWishlist);
+
+module.exports = router;
\ No newline at end of file
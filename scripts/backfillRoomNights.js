@@ -0,0 +1,74 @@
+/**
+ * Create the RoomNight rows missing for bookings made before room-nights
+ * were tracked
+ *
+ * Availability is read from RoomNight only, so a live booking without its
+ * nights leaves its room open to double-booking. Run once after upgrading:
+ *
+ *   npm run backfill:room-nights
+ *
+ * Safe to run again; bookings that already hold their nights are skipped.
+ * Bookings whose nights are taken by another booking or a block are listed
+ * for the front desk to resolve by hand.
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const Booking = require('../models/Booking');
+const RoomNight = require('../models/RoomNight');
+const { startOfUTCDay } = require('../utils/dateUtils');
+
+const backfillRoomNights = async () => {
+  const result = { reserved: 0, skipped: 0, conflicts: [] };
+
+  // Only stays that can still occupy a room need their nights
+  const bookings = await Booking.find({
+    $or: [
+      { status: { $in: ['confirmed', 'checked_in'] } },
+      { status: 'pending', holdExpiresAt: { $gt: new Date() } }
+    ],
+    endDate: { $gt: startOfUTCDay(new Date()) }
+  }).select('roomId startDate endDate');
+
+  for (const booking of bookings) {
+    if (await RoomNight.exists({ bookingId: booking._id })) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const isReserved = await RoomNight.reserve(booking.roomId, booking._id, booking.startDate, booking.endDate);
+
+    if (isReserved) {
+      result.reserved += 1;
+    } else {
+      result.conflicts.push(booking._id.toString());
+    }
+  }
+
+  return result;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const { reserved, skipped, conflicts } = await backfillRoomNights();
+
+    console.log(`Reserved nights for ${reserved} booking(s); ${skipped} already had them`);
+
+    if (conflicts.length) {
+      console.error(`Nights already taken for ${conflicts.length} booking(s), move them to another room:`);
+      conflicts.forEach(id => console.error(`  ${id}`));
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error(`Error backfilling room nights: ${error.message}`);
+  process.exit(1);
+});
\ No newline at end of file
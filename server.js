@@ -1,19 +1,37 @@
-const express = require('express');
 const dotenv = require('dotenv');
+
+// Load environment variables before any module reads them
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const path = require('path'); // <-- ADDED: Required for serving static files
 const connectDB = require('./config/db');
 const errorHandler = require('./middlewares/errorHandler');
-
-// Load environment variables
-if (process.env.NODE_ENV !== 'production') {
-  require('dotenv').config();
-}
+const { startHoldSweeper } = require('./jobs/holdSweeper');
+const { startStayLifecycleJob } = require('./jobs/stayLifecycle');
+const { startStayReminderJob } = require('./jobs/stayReminders');
+const { startEmailQueue } = require('./jobs/emailQueue');
+const { getStorage } = require('./services/storage');
 
 // Connect to database
 connectDB();
 
+// Release booking holds that were never confirmed
+startHoldSweeper();
+
+// Mark no-shows and complete finished stays
+startStayLifecycleJob();
+
+// Remind guests of stays starting soon
+startStayReminderJob();
+
+// Send queued emails, retrying failed deliveries
+startEmailQueue();
+
 // Initialize express app
 const app = express();
 
@@ -33,11 +51,22 @@ if (process.env.NODE_ENV === 'development') {
 // This will serve your index.html, CSS, and JS files for the frontend.
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Serve uploaded hotel and room images when they are kept on local disk
+const storage = getStorage();
+if (storage.directory) {
+  app.use(storage.baseUrl, express.static(storage.directory));
+}
+
 // API Routes
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/hotels', require('./routes/hotelRoutes'));
 app.use('/api/rooms', require('./routes/roomRoutes'));
 app.use('/api/bookings', require('./routes/bookingRoutes'));
+app.use('/api/coupons', require('./routes/couponRoutes'));
+app.use('/api/exchange-rates', require('./routes/exchangeRateRoutes'));
+app.use('/api/reviews', require('./routes/reviewRoutes'));
+app.use('/api/wishlist', require('./routes/wishlistRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
 
 // ==> ADDED: API endpoint to provide frontend configuration
 // Your frontend will call this to get the Supabase keys securely.
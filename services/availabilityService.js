@@ -0,0 +1,229 @@
+const Hotel = require('../models/Hotel');
+const Room = require('../models/Room');
+const RoomNight = require('../models/RoomNight');
+const RoomBlock = require('../models/RoomBlock');
+const { priceStay, getNightlyRate } = require('./pricingService');
+const { getNights, startOfUTCDay } = require('../utils/dateUtils');
+const { roundAmount } = require('../utils/money');
+const { findViolation, getRestrictionsForDate } = require('../utils/stayRestrictions');
+
+/**
+ * Availability across hotels
+ *
+ * Works on several hotels or days at once so search results and calendars
+ * don't need a query per room: reserved nights are found with one ledger
+ * lookup and prices are worked out in memory.
+ */
+
+/**
+ * Find the hotels with a free room that fits a party and allows the stay
+ *
+ * Only the fields needed to check availability and stay restrictions are
+ * loaded, so search can count and page the hotels in the database.
+ *
+ * @param {Object} stay - Stay details
+ * @param {String|Date} stay.startDate - Check-in date
+ * @param {String|Date} stay.endDate - Check-out date
+ * @param {Number} stay.guestCount - Number of guests
+ * @returns {Promise<Array>} Hotel IDs
+ */
+exports.findHotelIdsWithFreeRooms = async ({ startDate, endDate, guestCount }) => {
+  const reservedRoomIds = await RoomNight.distinct('roomId', {
+    date: {
+      $gte: startOfUTCDay(startDate),
+      $lt: startOfUTCDay(endDate)
+    }
+  });
+
+  const rooms = await Room.find({
+    _id: { $nin: reservedRoomIds },
+    isAvailable: true,
+    maxGuests: { $gte: guestCount }
+  }).select('hotelId stayRestrictions').lean();
+
+  const hotels = await Hotel.find({ _id: { $in: rooms.map(room => room.hotelId) } })
+    .select('stayRestrictions')
+    .lean();
+  const hotelsById = new Map(hotels.map(hotel => [hotel._id.toString(), hotel]));
+  const hotelIds = new Set();
+
+  rooms.forEach(room => {
+    const hotel = hotelsById.get(room.hotelId.toString());
+
+    if (hotel && !findViolation([...(hotel.stayRestrictions || []), ...(room.stayRestrictions || [])], startDate, endDate)) {
+      hotelIds.add(hotel._id.toString());
+    }
+  });
+
+  return [...hotelIds];
+};
+
+/**
+ * Find the hotels that can take a party for a stay, with their cheapest room
+ * @param {Array} hotels - Hotel documents, with their stay restrictions
+ * @param {Object} stay - Stay details
+ * @param {String|Date} stay.startDate - Check-in date
+ * @param {String|Date} stay.endDate - Check-out date
+ * @param {Number} stay.guestCount - Number of guests
+ * @returns {Promise<Map>} Hotel ID to { availableRooms, cheapestNightlyPrice, cheapestTotalPrice, cheapestRoomType }
+ */
+exports.findAvailableStays = async (hotels, { startDate, endDate, guestCount }) => {
+  const nights = getNights(startDate, endDate).length;
+  const hotelsById = new Map(hotels.map(hotel => [hotel._id.toString(), hotel]));
+  const stays = new Map();
+
+  if (!nights || !hotels.length) {
+    return stays;
+  }
+
+  const rooms = await Room.findAvailable(
+    { hotelId: { $in: hotels.map(hotel => hotel._id) }, maxGuests: { $gte: guestCount } },
+    startDate,
+    endDate
+  );
+
+  rooms.forEach(room => {
+    const hotelId = room.hotelId.toString();
+    const hotel = hotelsById.get(hotelId);
+
+    // Rooms the stay isn't allowed in don't count as available
+    if (findViolation([...hotel.stayRestrictions, ...room.stayRestrictions], startDate, endDate)) {
+      return;
+    }
+
+    const { totalPrice } = priceStay(room, startDate, endDate);
+    const stay = stays.get(hotelId);
+
+    if (!stay) {
+      stays.set(hotelId, {
+        availableRooms: 1,
+        cheapestNightlyPrice: roundAmount(totalPrice / nights),
+        cheapestTotalPrice: totalPrice,
+        cheapestRoomType: room.roomType
+      });
+      return;
+    }
+
+    stay.availableRooms += 1;
+    if (totalPrice < stay.cheapestTotalPrice) {
+      stay.cheapestNightlyPrice = roundAmount(totalPrice / nights);
+      stay.cheapestTotalPrice = totalPrice;
+      stay.cheapestRoomType = room.roomType;
+    }
+  });
+
+  return stays;
+};
+
+/**
+ * Load the reserved nights of some rooms over a date range
+ * @param {Array} rooms - Room documents
+ * @param {Date} startDate - First day, at UTC midnight
+ * @param {Date} endDate - Day after the last day, at UTC midnight
+ * @returns {Promise<Set>} Keys of the form "<roomId>:<time>" for each reserved night
+ */
+const getReservedNights = async (rooms, startDate, endDate) => {
+  const nights = await RoomNight.find({
+    roomId: { $in: rooms.map(room => room._id) },
+    date: { $gte: startDate, $lt: endDate }
+  }).select('roomId date');
+
+  return new Set(nights.map(night => `${night.roomId}:${night.date.getTime()}`));
+};
+
+/**
+ * Build a room's day-by-day availability, price and restrictions
+ * @param {Object} room - Room document
+ * @param {Object} hotel - The room's hotel, with its stay restrictions
+ * @param {Object} range - Days to cover, from getMonthRange
+ * @returns {Promise<Array>} One entry per day
+ */
+exports.getRoomCalendar = async (room, hotel, { startDate, endDate }) => {
+  const reserved = await getReservedNights([room], startDate, endDate);
+  const restrictions = [...(hotel ? hotel.stayRestrictions : []), ...room.stayRestrictions];
+  const blocks = await RoomBlock.find({
+    roomId: room._id,
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate }
+  });
+
+  return getNights(startDate, endDate).map(date => {
+    const night = getNightlyRate(room, date);
+    const block = blocks.find(entry => entry.startDate <= date && entry.endDate > date);
+
+    return {
+      date: date.toISOString().slice(0, 10),
+      isAvailable: room.isAvailable && !reserved.has(`${room._id}:${date.getTime()}`),
+      price: night.rate,
+      source: night.source,
+      restrictions: getRestrictionsForDate(restrictions, date),
+      block: block ? { type: block.type, reason: block.reason } : null
+    };
+  });
+};
+
+/**
+ * Build a hotel's day-by-day free room count, lowest price and restrictions
+ *
+ * Rooms can add their own restrictions to the hotel's, so each day shows
+ * what the least restricted free room allows (or any room, when none is free).
+ *
+ * @param {Object} hotel - Hotel document
+ * @param {Array} rooms - The hotel's rooms that fit the party
+ * @param {Object} range - Days to cover, from getMonthRange
+ * @returns {Promise<Array>} One entry per day
+ */
+exports.getHotelCalendar = async (hotel, rooms, { startDate, endDate }) => {
+  const reserved = await getReservedNights(rooms, startDate, endDate);
+
+  return getNights(startDate, endDate).map(date => {
+    const freeRooms = rooms.filter(
+      room => room.isAvailable && !reserved.has(`${room._id}:${date.getTime()}`)
+    );
+    const prices = freeRooms.map(room => getNightlyRate(room, date).rate);
+
+    return {
+      date: date.toISOString().slice(0, 10),
+      isAvailable: freeRooms.length > 0,
+      availableRooms: freeRooms.length,
+      fromPrice: prices.length ? Math.min(...prices) : null,
+      restrictions: getLeastRestrictions(hotel, freeRooms.length ? freeRooms : rooms, date)
+    };
+  });
+};
+
+/**
+ * Combine the restrictions of several rooms on a day, keeping the loosest rule
+ * @param {Object} hotel - Hotel document, with its stay restrictions
+ * @param {Array} rooms - Room documents, with their stay restrictions
+ * @param {Date} date - Day to check
+ * @returns {Object|null} Restrictions as from getRestrictionsForDate, or null if a room has none
+ */
+const getLeastRestrictions = (hotel, rooms, date) => {
+  if (!rooms.length) {
+    return getRestrictionsForDate(hotel.stayRestrictions, date);
+  }
+
+  const perRoom = rooms.map(room => getRestrictionsForDate(
+    [...hotel.stayRestrictions, ...room.stayRestrictions],
+    date
+  ));
+
+  if (perRoom.includes(null)) {
+    return null;
+  }
+
+  // A room without a limit leaves the day without one
+  const loosest = (key, pick) => {
+    const values = perRoom.map(restrictions => restrictions[key]);
+    return values.includes(null) ? null : pick(...values);
+  };
+
+  return {
+    names: [...new Set(perRoom.flatMap(restrictions => restrictions.names))],
+    minNights: loosest('minNights', Math.min),
+    maxNights: loosest('maxNights', Math.max),
+    closedToArrival: perRoom.every(restrictions => restrictions.closedToArrival),
+    closedToDeparture: perRoom.every(restrictions => restrictions.closedToDeparture)
+  };
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+/**
+ * Currency conversion using the admin-maintained exchange-rate table
+ *
+ * Rates are stored against a single base currency, so any two currencies
+ * in the table can be converted through it.
+ */
+
+/**
+ * Get the base currency all exchange rates are quoted against
+ * @returns {String} ISO currency code
+ */
+exports.getBaseCurrency = () => (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Load every exchange rate, keyed by currency code
+ * @returns {Promise<Object>} Map of currency code to rate, base currency included
+ */
+exports.getExchangeRates = async () => {
+  const rates = await ExchangeRate.find().lean();
+
+  return rates.reduce(
+    (map, entry) => ({ ...map, [entry.currency]: entry.rate }),
+    { [exports.getBaseCurrency()]: 1 }
+  );
+};
+
+/**
+ * Work out the rate to convert between two currencies
+ * @param {Object} rates - Map from getExchangeRates
+ * @param {String} from - Currency the amount is in
+ * @param {String} to - Currency to convert to
+ * @returns {Number|null} Conversion rate, or null if a currency is unknown
+ */
+exports.getConversionRate = (rates, from, to) => {
+  const source = String(from || exports.getBaseCurrency()).toUpperCase();
+  const target = String(to).toUpperCase();
+
+  if (source === target) {
+    return 1;
+  }
+  if (!rates[source] || !rates[target]) {
+    return null;
+  }
+
+  return Math.round(rates[target] / rates[source] * 1000000) / 1000000;
+};
+
+/**
+ * Convert an amount with a conversion rate
+ * @param {Number} amount - Amount to convert
+ * @param {Number} rate - Rate from getConversionRate
+ * @returns {Number} Converted amount rounded to cents
+ */
+exports.convertAmount = (amount, rate) => Math.round(amount * rate * 100) / 100;
+
+/**
+ * Convert the amounts of a price quote for display
+ * @param {Object} quote - Quote from the pricing service
+ * @param {String} currency - Currency to display
+ * @returns {Promise<Object|null>} Converted amounts, or null if no rate is known
+ */
+exports.convertQuote = async (quote, currency) => {
+  const rates = await exports.getExchangeRates();
+  const rate = exports.getConversionRate(rates, quote.currency, currency);
+
+  if (rate === null) {
+    return null;
+  }
+
+  const convert = amount => exports.convertAmount(amount, rate);
+
+  return {
+    currency: String(currency).toUpperCase(),
+    exchangeRate: rate,
+    nightlyRates: quote.nightlyRates.map(night => ({ date: night.date, rate: convert(night.rate) })),
+    subtotal: convert(quote.subtotal),
+    discountTotal: convert(quote.discountTotal),
+    taxTotal: convert(quote.taxTotal),
+    feeTotal: convert(quote.feeTotal),
+    totalPrice: convert(quote.totalPrice)
+  };
+};
+
+/**
+ * Add display prices to rooms
+ * @param {Array} rooms - Room documents, with hotelId populated including currency
+ * @param {String} currency - Currency to display
+ * @param {String} [hotelCurrency] - Currency to assume when hotelId isn't populated
+ * @returns {Promise<Array|null>} Plain room objects, or null if no rate is known
+ */
+exports.convertRoomPrices = async (rooms, currency, hotelCurrency) => {
+  const rates = await exports.getExchangeRates();
+  const converted = [];
+
+  for (const room of rooms) {
+    const from = (room.hotelId && room.hotelId.currency) || hotelCurrency;
+    const rate = exports.getConversionRate(rates, from, currency);
+
+    if (rate === null) {
+      return null;
+    }
+
+    converted.push({
+      ...room.toJSON(),
+      displayCurrency: String(currency).toUpperCase(),
+      displayPricePerNight: exports.convertAmount(room.pricePerNight, rate)
+    });
+  }
+
+  return converted;
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Base class for email transports
+ *
+ * Transports deliver one rendered message at a time:
+ *
+ *   { from: String, to: String, subject: String, text: String, html: String }
+ *
+ * Unlike payment gateways they throw when delivery fails; the email queue
+ * catches the error and tries again later.
+ */
+class EmailTransport {
+  /**
+   * Create an email transport
+   * @param {String} name - Transport name
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - Rendered message
+   * @returns {Promise<Object>} Delivery result with the transport's messageId
+   */
+  async send(message) {
+    throw new Error(`${this.name} transport does not implement send`);
+  }
+}
+
+module.exports = EmailTransport;
\ No newline at end of file
@@ -0,0 +1,36 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const EmailTransport = require('./EmailTransport');
+
+/**
+ * Writes each message to an .eml file and logs it to the console instead
+ * of sending it, for development
+ *
+ * Files go to outbox/ in the project root unless EMAIL_OUTBOX_DIR is set,
+ * and open in any mail client.
+ * @extends EmailTransport
+ */
+class FileTransport extends EmailTransport {
+  constructor() {
+    super('file');
+    this.directory = path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox'));
+    // Builds the full MIME message without sending it anywhere
+    this.mailer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const info = await this.mailer.sendMail(message);
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    const filePath = path.join(this.directory, fileName);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(filePath, info.message);
+
+    console.log(`Email to ${message.to}: "${message.subject}" saved to ${filePath}`);
+
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = FileTransport;
\ No newline at end of file
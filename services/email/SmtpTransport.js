@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+const EmailTransport = require('./EmailTransport');
+
+/**
+ * Sends messages through an SMTP server
+ *
+ * Defaults to localhost:1025, where local test servers such as MailHog or
+ * smtp4dev listen, so development mail never leaves the machine.
+ * @extends EmailTransport
+ */
+class SmtpTransport extends EmailTransport {
+  constructor() {
+    super('smtp');
+    this.mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.mailer.sendMail(message);
+
+    if (info.rejected && info.rejected.length) {
+      throw new Error(`SMTP server rejected ${info.rejected.join(', ')}`);
+    }
+
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
\ No newline at end of file
@@ -0,0 +1,35 @@
+const FileTransport = require('./FileTransport');
+const SmtpTransport = require('./SmtpTransport');
+
+/**
+ * Available email transports, keyed by the EMAIL_TRANSPORT env value
+ */
+const transports = {
+  file: FileTransport,
+  smtp: SmtpTransport
+};
+
+let transport = null;
+
+/**
+ * Get the configured email transport
+ * @returns {EmailTransport} Shared transport instance
+ */
+const getEmailTransport = () => {
+  if (!transport) {
+    const transportName = process.env.EMAIL_TRANSPORT || 'file';
+    const Transport = transports[transportName];
+
+    if (!Transport) {
+      throw new Error(`Unknown email transport: ${transportName}`);
+    }
+
+    transport = new Transport();
+  }
+
+  return transport;
+};
+
+module.exports = {
+  getEmailTransport
+};
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Email templates
+ *
+ * Each template turns its data into a subject, a greeting and paragraphs of
+ * plain text. Lines of a paragraph are kept together, and paragraphs made of
+ * "Label: value" lines render as a table in the HTML part.
+ */
+
+/**
+ * Format a stay date, e.g. "Tue, 1 Sep 2026"
+ * @param {Date} date - Date to format
+ * @returns {String} Formatted date
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * Format an amount of money, e.g. "450.00 USD"
+ * @param {Number} amount - Amount
+ * @param {String} currency - ISO 4217 currency code
+ * @returns {String} Formatted amount
+ */
+const formatMoney = (amount, currency) => [(amount || 0).toFixed(2), currency].filter(Boolean).join(' ');
+
+/**
+ * Escape text for use in HTML
+ * @param {String} text - Plain text
+ * @returns {String} HTML-safe text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Summary lines of a booking shared by the booking emails
+ * @param {Object} data - Template data
+ * @returns {Array} Lines of the summary
+ */
+const bookingSummary = ({ booking, hotel }) => [
+  `Booking reference: ${booking._id}`,
+  `Hotel: ${hotel.name}${hotel.address && hotel.address.city ? `, ${hotel.address.city}` : ''}`,
+  `Room: ${booking.roomType || 'Room'}`,
+  `Check-in: ${formatDate(booking.startDate)}`,
+  `Check-out: ${formatDate(booking.endDate)}`,
+  `Guests: ${booking.guestCount}`
+];
+
+const templates = {
+  booking_confirmation: (data) => {
+    const { booking } = data;
+    const paymentInfo = booking.paymentInfo || {};
+
+    return {
+      subject: `Your booking at ${data.hotel.name} is confirmed`,
+      greeting: `Hi ${data.user.name},`,
+      paragraphs: [
+        ['Thank you for your booking. We look forward to welcoming you.'],
+        bookingSummary(data),
+        [
+          `Total: ${formatMoney(booking.totalPrice, booking.currency)}`,
+          `Paid: ${formatMoney(paymentInfo.amountPaid, booking.currency)}`,
+          `Balance due: ${formatMoney(paymentInfo.balanceDue, booking.currency)}`
+        ]
+      ]
+    };
+  },
+
+  booking_cancellation: (data) => {
+    const { booking } = data;
+    const cancellation = booking.cancellation || {};
+
+    return {
+      subject: `Your booking at ${data.hotel.name} has been cancelled`,
+      greeting: `Hi ${data.user.name},`,
+      paragraphs: [
+        ['Your booking has been cancelled.'],
+        bookingSummary(data),
+        [
+          `Cancellation fee: ${formatMoney(cancellation.penaltyAmount, booking.currency)}`,
+          `Refund: ${formatMoney(cancellation.refundAmount, booking.currency)}`
+        ],
+        cancellation.refundAmount > 0
+          ? ['Your refund has been sent to your original payment method and may take a few days to appear.']
+          : []
+      ]
+    };
+  },
+
+  pre_arrival_reminder: (data) => {
+    const { booking } = data;
+    const balanceDue = booking.paymentInfo && booking.paymentInfo.balanceDue;
+
+    return {
+      subject: `Your stay at ${data.hotel.name} starts ${formatDate(booking.startDate)}`,
+      greeting: `Hi ${data.user.name},`,
+      paragraphs: [
+        ['Your stay is coming up soon. Here are your booking details.'],
+        bookingSummary(data),
+        balanceDue > 0
+          ? [`The remaining balance of ${formatMoney(balanceDue, booking.currency)} is due at check-in.`]
+          : [],
+        ['Have a safe journey.']
+      ]
+    };
+  },
+
+  password_reset: (data) => ({
+    subject: 'Reset your password',
+    greeting: `Hi ${data.user.name},`,
+    paragraphs: [
+      ['We received a request to reset your password. Use the link below to choose a new one.'],
+      [data.resetUrl],
+      [`The link expires in ${data.expiresInMinutes} minutes. If you didn't ask to reset your password, you can ignore this email.`]
+    ]
+  })
+};
+
+/**
+ * Render a paragraph as HTML
+ * @param {Array} lines - Lines of the paragraph
+ * @returns {String} HTML
+ */
+const renderParagraphHtml = (lines) => {
+  const isTable = lines.every(line => /^[^:]+: /.test(line) && !/^https?:/.test(line));
+
+  if (isTable) {
+    const rows = lines.map(line => {
+      const [label, ...value] = line.split(': ');
+      return `<tr><td style="padding:2px 16px 2px 0;color:#555">${escapeHtml(label)}</td><td>${escapeHtml(value.join(': '))}</td></tr>`;
+    });
+    return `<table>${rows.join('')}</table>`;
+  }
+
+  return `<p>${lines.map(line => (
+    /^https?:\/\/\S+$/.test(line)
+      ? `<a href="${escapeHtml(line)}">${escapeHtml(line)}</a>`
+      : escapeHtml(line)
+  )).join('<br>')}</p>`;
+};
+
+/**
+ * Render an email from a template
+ * @param {String} name - booking_confirmation, booking_cancellation, pre_arrival_reminder or password_reset
+ * @param {Object} data - Template data; user, plus booking and hotel or resetUrl
+ * @returns {Object} Subject, plain text and HTML body
+ *
+ * @example
+ * renderTemplate('password_reset', { user, resetUrl, expiresInMinutes: 30 })
+ * // => { subject: 'Reset your password', text: 'Hi Jane,\n\n...', html: '<!DOCTYPE html>...' }
+ */
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const { subject, greeting, paragraphs } = template(data);
+  const content = [[greeting], ...paragraphs].filter(lines => lines.length);
+  const appName = process.env.APP_NAME || 'Hotel Booking';
+
+  return {
+    subject,
+    text: `${content.map(lines => lines.join('\n')).join('\n\n')}\n\n${appName}\n`,
+    html: `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;font-size:14px;color:#222">${content.map(renderParagraphHtml).join('')}<p style="color:#888">${escapeHtml(appName)}</p></body></html>`
+  };
+};
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(templates),
+  renderTemplate
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+const EmailMessage = require('../models/EmailMessage');
+const User = require('../models/User');
+const Hotel = require('../models/Hotel');
+const { renderTemplate } = require('./email/templates');
+
+/**
+ * Render an email and add it to the delivery queue
+ *
+ * Failures are logged rather than thrown so a mail problem never fails the
+ * request that triggered the email; the queue job does the sending.
+ * @param {Object} options - Email to queue
+ * @param {String} options.to - Recipient address
+ * @param {String} options.template - Template name
+ * @param {Object} options.data - Template data
+ * @param {ObjectId} [options.relatedId] - Record the email is about
+ * @param {String} [options.relatedType] - Type of that record, e.g. "booking"
+ * @returns {Promise<Object|null>} Queued message, or null on failure
+ */
+exports.queueEmail = async ({ to, template, data, relatedId, relatedType }) => {
+  try {
+    return await EmailMessage.create({
+      to,
+      template,
+      ...renderTemplate(template, data),
+      relatedId,
+      relatedType
+    });
+  } catch (error) {
+    console.error(`Error queueing ${template} email to ${to}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Queue an email about a booking to the guest who made it
+ * @param {Object} booking - Booking document; userId and hotelId may be populated
+ * @param {String} template - booking_confirmation, booking_cancellation or pre_arrival_reminder
+ * @returns {Promise<Object|null>} Queued message, or null on failure
+ */
+exports.queueBookingEmail = async (booking, template) => {
+  try {
+    const [user, hotel] = await Promise.all([
+      User.findById(booking.userId._id || booking.userId).select('name email'),
+      Hotel.findById(booking.hotelId._id || booking.hotelId).select('name address')
+    ]);
+
+    if (!user || !hotel) {
+      throw new Error('Guest or hotel no longer exists');
+    }
+
+    return await exports.queueEmail({
+      to: user.email,
+      template,
+      data: { user, hotel, booking },
+      relatedId: booking._id,
+      relatedType: 'booking'
+    });
+  } catch (error) {
+    console.error(`Error queueing ${template} email for booking ${booking._id}: ${error.message}`);
+    return null;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { BadRequestError } = require('../utils/errorResponse');
+
+/**
+ * File extension stored for each decoded image format
+ */
+const EXTENSIONS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp'
+};
+
+/**
+ * Store an uploaded image and a thumbnail of it
+ *
+ * The upload is decoded first, so files that only claim to be images are
+ * rejected with a BadRequestError before anything is written.
+ * @param {Object} file - Uploaded file from multer, with a buffer
+ * @param {String} folder - Storage folder, e.g. "hotels/<id>"
+ * @returns {Promise<Object>} Image fields: url, thumbnailUrl, key, thumbnailKey, width and height
+ *
+ * @example
+ * await storeImage(req.file, `rooms/${room._id}`)
+ * // => { url: '/uploads/rooms/60d0.../3f9c....jpg', thumbnailUrl: '/uploads/rooms/60d0.../3f9c...-thumb.webp', ... }
+ */
+exports.storeImage = async (file, folder) => {
+  let metadata;
+
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    metadata = {};
+  }
+
+  const extension = EXTENSIONS[metadata.format];
+
+  if (!extension) {
+    throw new BadRequestError(`${file.originalname} is not a JPEG, PNG or WebP image`);
+  }
+
+  // Apply the camera's orientation so thumbnails aren't sideways; height
+  // follows the aspect ratio
+  let thumbnail;
+
+  try {
+    thumbnail = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: parseInt(process.env.THUMBNAIL_WIDTH, 10) || 400, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    // A header that decodes can still hide a truncated or corrupt image
+    throw new BadRequestError(`${file.originalname} could not be read as an image: ${error.message}`);
+  }
+
+  const name = crypto.randomBytes(16).toString('hex');
+  const key = `${folder}/${name}.${extension}`;
+  const thumbnailKey = `${folder}/${name}-thumb.webp`;
+  const storage = getStorage();
+
+  const url = await storage.save(key, file.buffer);
+  let thumbnailUrl;
+
+  try {
+    thumbnailUrl = await storage.save(thumbnailKey, thumbnail);
+  } catch (error) {
+    // Don't leave the full-size file behind without its image
+    await exports.deleteImageFiles([{ key }]);
+    throw error;
+  }
+
+  return {
+    url,
+    thumbnailUrl,
+    key,
+    thumbnailKey,
+    width: metadata.width,
+    height: metadata.height
+  };
+};
+
+/**
+ * Delete the stored files of images
+ *
+ * Failures are logged rather than thrown; the images are already gone from
+ * the database by the time this runs, so a leftover file is the worst case.
+ * @param {Array} images - Images whose files should be removed
+ * @returns {Promise<void>}
+ */
+exports.deleteImageFiles = async (images = []) => {
+  const storage = getStorage();
+  const keys = images
+    .flatMap(image => [image.key, image.thumbnailKey])
+    .filter(Boolean);
+
+  await Promise.all(keys.map(async key => {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error(`Error deleting stored file ${key}: ${error.message}`);
+    }
+  }));
+};
+
+/**
+ * Put a gallery in order and make sure exactly one image is primary
+ *
+ * Images are sorted by their order field, renumbered from 0, and the first
+ * image becomes primary when none is.
+ * @param {Array} images - Mongoose images array, changed in place
+ * @param {Object} [primaryImage] - Image to make primary, unsetting the others
+ * @returns {Array} The same images array
+ */
+exports.arrangeImages = (images, primaryImage = null) => {
+  images.sort((a, b) => a.order - b.order);
+  images.forEach((image, index) => {
+    image.order = index;
+
+    if (primaryImage) {
+      image.isPrimary = image._id.equals(primaryImage._id);
+    }
+  });
+
+  const primaries = images.filter(image => image.isPrimary);
+
+  primaries.slice(1).forEach(image => {
+    image.isPrimary = false;
+  });
+
+  if (images.length && !primaries.length) {
+    images[0].isPrimary = true;
+  }
+
+  return images;
+};
\ No newline at end of file
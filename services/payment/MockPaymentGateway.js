@@ -0,0 +1,118 @@
+const PaymentGateway = require('./PaymentGateway');
+
+/**
+ * Payment tokens that make the mock gateway decline an authorization
+ */
+const DECLINED_TOKENS = ['tok_declined', 'tok_insufficient_funds'];
+
+/**
+ * Deterministic in-process gateway for development and testing
+ *
+ * Transaction ids are sequential and nothing leaves the process. Pass one
+ * of DECLINED_TOKENS as the payment token to simulate a declined card.
+ * @extends PaymentGateway
+ */
+class MockPaymentGateway extends PaymentGateway {
+  constructor() {
+    super('mock');
+    this.sequence = 0;
+    this.transactions = new Map();
+  }
+
+  /**
+   * Generate the next transaction id
+   * @returns {String} Transaction id
+   */
+  nextTransactionId() {
+    this.sequence += 1;
+    return `mock_txn_${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Look up a transaction issued by this gateway
+   *
+   * Transactions from before a restart are unknown; they are treated as
+   * captured for the full amount so refunds keep working in development.
+   * @param {String} transactionId - Transaction id
+   * @returns {Object} Transaction state
+   */
+  getTransaction(transactionId) {
+    if (!this.transactions.has(transactionId)) {
+      this.transactions.set(transactionId, {
+        status: 'captured',
+        amount: Infinity,
+        captured: Infinity,
+        refunded: 0
+      });
+    }
+
+    return this.transactions.get(transactionId);
+  }
+
+  async authorize(amount, { paymentToken } = {}) {
+    if (DECLINED_TOKENS.includes(paymentToken)) {
+      return { success: false, status: 'declined', message: 'Payment was declined' };
+    }
+
+    if (!(amount > 0)) {
+      return { success: false, status: 'failed', message: 'Amount must be greater than zero' };
+    }
+
+    const transactionId = this.nextTransactionId();
+    this.transactions.set(transactionId, {
+      status: 'authorized',
+      amount,
+      captured: 0,
+      refunded: 0
+    });
+
+    return { success: true, transactionId, status: 'authorized' };
+  }
+
+  async capture(transactionId, amount) {
+    const transaction = this.getTransaction(transactionId);
+
+    if (transaction.status !== 'authorized') {
+      return { success: false, transactionId, status: 'failed', message: `Cannot capture a ${transaction.status} transaction` };
+    }
+
+    if (amount > transaction.amount) {
+      return { success: false, transactionId, status: 'failed', message: 'Capture amount exceeds the authorized amount' };
+    }
+
+    transaction.status = 'captured';
+    transaction.captured = amount;
+
+    return { success: true, transactionId, status: 'captured' };
+  }
+
+  async refund(transactionId, amount) {
+    const transaction = this.getTransaction(transactionId);
+
+    if (transaction.status !== 'captured') {
+      return { success: false, transactionId, status: 'failed', message: `Cannot refund a ${transaction.status} transaction` };
+    }
+
+    if (transaction.refunded + amount > transaction.captured) {
+      return { success: false, transactionId, status: 'failed', message: 'Refund amount exceeds the captured amount' };
+    }
+
+    transaction.refunded += amount;
+
+    return { success: true, transactionId, status: 'refunded' };
+  }
+
+  async void(transactionId) {
+    const transaction = this.getTransaction(transactionId);
+
+    if (transaction.status !== 'authorized') {
+      return { success: false, transactionId, status: 'failed', message: `Cannot void a ${transaction.status} transaction` };
+    }
+
+    transaction.status = 'voided';
+
+    return { success: true, transactionId, status: 'voided' };
+  }
+}
+
+module.exports = MockPaymentGateway;
\ No newline at end of file
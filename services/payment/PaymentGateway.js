@@ -0,0 +1,60 @@
+/**
+ * Base class for payment gateway providers
+ *
+ * Providers implement the four operations below and resolve every call with
+ * a result object instead of throwing on a declined payment:
+ *
+ *   { success: Boolean, transactionId: String, status: String, message: String }
+ *
+ * Only unexpected failures (network errors, bad configuration) should throw.
+ */
+class PaymentGateway {
+  /**
+   * Create a payment gateway
+   * @param {String} name - Provider name stored on the booking
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Reserve an amount on the customer's payment method
+   * @param {Number} amount - Amount to authorize
+   * @param {Object} options - Payment token, booking id and other provider data
+   * @returns {Promise<Object>} Gateway result
+   */
+  async authorize(amount, options) {
+    throw new Error(`${this.name} gateway does not implement authorize`);
+  }
+
+  /**
+   * Collect a previously authorized amount
+   * @param {String} transactionId - Authorization transaction id
+   * @param {Number} amount - Amount to capture
+   * @returns {Promise<Object>} Gateway result
+   */
+  async capture(transactionId, amount) {
+    throw new Error(`${this.name} gateway does not implement capture`);
+  }
+
+  /**
+   * Return part or all of a captured amount
+   * @param {String} transactionId - Captured transaction id
+   * @param {Number} amount - Amount to refund
+   * @returns {Promise<Object>} Gateway result
+   */
+  async refund(transactionId, amount) {
+    throw new Error(`${this.name} gateway does not implement refund`);
+  }
+
+  /**
+   * Cancel an authorization that has not been captured
+   * @param {String} transactionId - Authorization transaction id
+   * @returns {Promise<Object>} Gateway result
+   */
+  async void(transactionId) {
+    throw new Error(`${this.name} gateway does not implement void`);
+  }
+}
+
+module.exports = PaymentGateway;
\ No newline at end of file
@@ -0,0 +1,33 @@
+const MockPaymentGateway = require('./MockPaymentGateway');
+
+/**
+ * Available payment providers, keyed by the PAYMENT_PROVIDER env value
+ */
+const providers = {
+  mock: MockPaymentGateway
+};
+
+let gateway = null;
+
+/**
+ * Get the configured payment gateway
+ * @returns {PaymentGateway} Shared gateway instance
+ */
+const getPaymentGateway = () => {
+  if (!gateway) {
+    const providerName = process.env.PAYMENT_PROVIDER || 'mock';
+    const Provider = providers[providerName];
+
+    if (!Provider) {
+      throw new Error(`Unknown payment provider: ${providerName}`);
+    }
+
+    gateway = new Provider();
+  }
+
+  return gateway;
+};
+
+module.exports = {
+  getPaymentGateway
+};
\ No newline at end of file
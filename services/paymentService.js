@@ -0,0 +1,277 @@
+const { getPaymentGateway } = require('./payment');
+const { getCapturedAmount } = require('../utils/cancellationPolicy');
+const { roundAmount } = require('../utils/money');
+
+/**
+ * Payment operations on bookings
+ *
+ * A booking can carry several payments (e.g. a deposit and the balance),
+ * each backed by its own gateway transaction. Each function talks to the
+ * configured gateway, records the attempt in booking.paymentInfo.transactions
+ * and refreshes the amount paid, balance due and payment status. The booking
+ * is not saved; callers persist it together with their own changes.
+ */
+
+/**
+ * Record a gateway call on the booking
+ * @param {Object} booking - Booking document
+ * @param {String} type - Operation type
+ * @param {Number} amount - Amount involved
+ * @param {Object} result - Gateway result
+ */
+const recordTransaction = (booking, type, amount, result) => {
+  booking.paymentInfo.transactions.push({
+    type,
+    amount,
+    status: result.success ? 'succeeded' : 'failed',
+    transactionId: result.transactionId,
+    message: result.message
+  });
+};
+
+/**
+ * Recalculate amount paid, balance due and payment status from the payments
+ * @param {Object} booking - Booking document
+ */
+exports.updatePaymentSummary = (booking) => {
+  const info = booking.paymentInfo;
+  const captured = info.payments
+    .filter(payment => ['captured', 'partially_refunded', 'refunded'].includes(payment.status))
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  const refunded = info.payments.reduce((sum, payment) => sum + (payment.amountRefunded || 0), 0);
+
+  info.amountRefunded = roundAmount(refunded);
+  info.amountPaid = roundAmount(captured - refunded);
+  info.balanceDue = ['cancelled', 'expired', 'no_show'].includes(booking.status)
+    ? 0
+    : roundAmount(Math.max(booking.totalPrice - info.amountPaid, 0));
+
+  if (refunded > 0) {
+    info.paymentStatus = info.amountPaid > 0 ? 'partially_refunded' : 'refunded';
+  } else if (captured > 0) {
+    info.paymentStatus = info.amountPaid >= booking.totalPrice ? 'completed' : 'partially_paid';
+  } else if (info.payments.some(payment => payment.status === 'authorized')) {
+    info.paymentStatus = 'authorized';
+  } else if (info.payments.some(payment => payment.status === 'voided')) {
+    info.paymentStatus = 'voided';
+  }
+};
+
+/**
+ * Work out the amount to take when a booking is made
+ * @param {Object} booking - Booking document with its total and nightly rates
+ * @param {Object} depositPolicy - Hotel deposit policy
+ * @returns {Number} Deposit amount, the full total when no deposit applies
+ */
+exports.calculateDeposit = (booking, depositPolicy = {}) => {
+  let deposit;
+
+  switch (depositPolicy && depositPolicy.type) {
+    case 'percentage':
+      deposit = booking.totalPrice * (depositPolicy.percentage || 0) / 100;
+      break;
+    case 'first_night':
+      deposit = booking.nightlyRates.length ? booking.nightlyRates[0].rate : booking.totalPrice;
+      break;
+    case 'full':
+    default:
+      deposit = booking.totalPrice;
+  }
+
+  return roundAmount(Math.min(deposit, booking.totalPrice));
+};
+
+/**
+ * Authorize an amount on the guest's payment method
+ * @param {Object} booking - Booking document
+ * @param {Number} amount - Amount to authorize
+ * @param {Object} details - Payment method and token from the request
+ * @param {String} kind - What the payment is for: deposit, balance, full or additional
+ * @returns {Promise<Object>} Gateway result, with the new payment when successful
+ */
+exports.authorizePayment = async (booking, amount, { paymentMethod, paymentToken } = {}, kind = 'full') => {
+  const gateway = getPaymentGateway();
+  const result = await gateway.authorize(amount, {
+    paymentToken,
+    bookingId: booking._id.toString()
+  });
+
+  recordTransaction(booking, 'authorize', amount, result);
+
+  booking.paymentInfo.provider = gateway.name;
+  if (paymentMethod) {
+    booking.paymentInfo.paymentMethod = paymentMethod;
+  }
+
+  if (!result.success) {
+    if (!booking.paymentInfo.payments.length) {
+      booking.paymentInfo.paymentStatus = 'failed';
+    }
+    return result;
+  }
+
+  booking.paymentInfo.transactionId = result.transactionId;
+  booking.paymentInfo.payments.push({
+    kind,
+    amount,
+    transactionId: result.transactionId,
+    status: 'authorized',
+    paymentMethod: booking.paymentInfo.paymentMethod
+  });
+  exports.updatePaymentSummary(booking);
+
+  return {
+    ...result,
+    payment: booking.paymentInfo.payments[booking.paymentInfo.payments.length - 1]
+  };
+};
+
+/**
+ * Capture an authorized payment
+ * @param {Object} booking - Booking document
+ * @param {Object} payment - Authorized payment on the booking
+ * @returns {Promise<Object>} Gateway result
+ */
+exports.capturePayment = async (booking, payment) => {
+  const result = await getPaymentGateway().capture(payment.transactionId, payment.amount);
+
+  recordTransaction(booking, 'capture', payment.amount, result);
+
+  if (result.success) {
+    payment.status = 'captured';
+    exports.updatePaymentSummary(booking);
+  }
+
+  return result;
+};
+
+/**
+ * Authorize and immediately capture an amount
+ * @param {Object} booking - Booking document
+ * @param {Object} details - Payment method and token from the request
+ * @param {Number} amount - Amount to charge
+ * @param {String} kind - What the payment is for: deposit, balance, full or additional
+ * @returns {Promise<Object>} Result of the last gateway call
+ */
+exports.chargePayment = async (booking, details, amount, kind = 'full') => {
+  // Nothing is taken up front when the hotel asks for no deposit
+  if (!(amount > 0)) {
+    return { success: true };
+  }
+
+  const authorization = await exports.authorizePayment(booking, amount, details, kind);
+
+  if (!authorization.success) {
+    return authorization;
+  }
+
+  const capture = await exports.capturePayment(booking, authorization.payment);
+
+  if (!capture.success) {
+    await exports.voidPayment(booking, authorization.payment);
+  }
+
+  return capture;
+};
+
+/**
+ * Refund an amount across the captured payments, newest first
+ * @param {Object} booking - Booking document
+ * @param {Number} amount - Amount to refund
+ * @returns {Promise<Object>} Result of the last gateway call
+ */
+exports.refundPayment = async (booking, amount) => {
+  const gateway = getPaymentGateway();
+  itemiseLegacyPayment(booking);
+
+  const refundable = booking.paymentInfo.payments
+    .filter(payment => ['captured', 'partially_refunded'].includes(payment.status))
+    .reverse();
+
+  let remaining = roundAmount(amount);
+  let result = { success: false, message: 'No captured payment to refund' };
+
+  for (const payment of refundable) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const share = roundAmount(Math.min(remaining, payment.amount - (payment.amountRefunded || 0)));
+
+    if (share <= 0) {
+      continue;
+    }
+
+    result = await gateway.refund(payment.transactionId, share);
+    recordTransaction(booking, 'refund', share, result);
+
+    if (!result.success) {
+      break;
+    }
+
+    payment.amountRefunded = roundAmount((payment.amountRefunded || 0) + share);
+    payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+    remaining = roundAmount(remaining - share);
+  }
+
+  exports.updatePaymentSummary(booking);
+
+  return result;
+};
+
+/**
+ * Cancel authorizations that have not been captured
+ * @param {Object} booking - Booking document
+ * @param {Object} [payment] - Payment to void; every authorized payment when omitted
+ * @returns {Promise<Object>} Result of the last gateway call
+ */
+exports.voidPayment = async (booking, payment = null) => {
+  const gateway = getPaymentGateway();
+  const authorized = payment
+    ? [payment]
+    : booking.paymentInfo.payments.filter(entry => entry.status === 'authorized');
+
+  let result = { success: true };
+
+  for (const entry of authorized) {
+    result = await gateway.void(entry.transactionId);
+    recordTransaction(booking, 'void', 0, result);
+
+    if (!result.success) {
+      break;
+    }
+
+    entry.status = 'voided';
+  }
+
+  exports.updatePaymentSummary(booking);
+
+  return result;
+};
+
+/**
+ * Helper function to turn the single charge of a booking made before
+ * payments were itemised into a payment entry, so it can be refunded
+ * @param {Object} booking - Booking document
+ */
+const itemiseLegacyPayment = (booking) => {
+  const info = booking.paymentInfo;
+  const captured = getCapturedAmount(info.transactions);
+
+  if (info.payments.length || !info.transactionId || captured <= 0) {
+    return;
+  }
+
+  const refunded = info.transactions
+    .filter(transaction => transaction.type === 'refund' && transaction.status === 'succeeded')
+    .reduce((sum, transaction) => sum + (transaction.amount || 0), 0);
+
+  info.payments.push({
+    kind: 'full',
+    amount: roundAmount(captured + refunded),
+    amountRefunded: roundAmount(refunded),
+    status: refunded > 0 ? 'partially_refunded' : 'captured',
+    transactionId: info.transactionId,
+    paymentMethod: info.paymentMethod
+  });
+};
\ No newline at end of file
@@ -0,0 +1,240 @@
+const Hotel = require('../models/Hotel');
+const Coupon = require('../models/Coupon');
+const { getBaseCurrency } = require('./currencyService');
+const { getNights, startOfUTCDay } = require('../utils/dateUtils');
+const { roundAmount } = require('../utils/money');
+
+/**
+ * Pricing of room stays
+ *
+ * Every price shown to a guest or stored on a booking goes through this
+ * module so that quotes and bookings always agree.
+ */
+
+/**
+ * Work out the price of a single night
+ *
+ * A per-date override wins outright. Otherwise the matching season (or the
+ * room's base price) is used, plus the weekend surcharge on weekend nights.
+ *
+ * @param {Object} room - Room document
+ * @param {Date} date - Night to price, at UTC midnight
+ * @returns {Object} Nightly rate with the rule that produced it
+ */
+exports.getNightlyRate = (room, date) => {
+  const time = date.getTime();
+
+  const override = (room.rateOverrides || []).find(
+    entry => startOfUTCDay(entry.date).getTime() === time
+  );
+
+  if (override) {
+    return {
+      date,
+      rate: override.pricePerNight,
+      source: 'override'
+    };
+  }
+
+  // Seasons cover their start and end dates inclusively
+  const season = (room.seasonalRates || []).find(
+    entry => startOfUTCDay(entry.startDate).getTime() <= time &&
+      startOfUTCDay(entry.endDate).getTime() >= time
+  );
+
+  const baseRate = season ? season.pricePerNight : room.pricePerNight;
+  const surcharge = room.weekendSurcharge || {};
+  let weekendSurcharge = 0;
+
+  if (surcharge.amount && (surcharge.days || []).includes(date.getUTCDay())) {
+    weekendSurcharge = surcharge.type === 'percentage'
+      ? baseRate * surcharge.amount / 100
+      : surcharge.amount;
+  }
+
+  return {
+    date,
+    rate: roundAmount(baseRate + weekendSurcharge),
+    source: season ? 'season' : 'base',
+    ...(season && season.name ? { season: season.name } : {}),
+    ...(weekendSurcharge ? { weekendSurcharge: roundAmount(weekendSurcharge) } : {})
+  };
+};
+
+/**
+ * Apply a rate plan's price modifier to a night
+ * @param {Object} night - Nightly rate from getNightlyRate
+ * @param {Object} ratePlan - Room rate plan
+ * @returns {Object} Nightly rate including the rate plan adjustment
+ */
+const applyRatePlan = (night, ratePlan) => {
+  const modifier = ratePlan.priceModifier || {};
+
+  if (!modifier.amount) {
+    return night;
+  }
+
+  const adjustment = modifier.type === 'fixed'
+    ? modifier.amount
+    : night.rate * modifier.amount / 100;
+
+  return {
+    ...night,
+    rate: roundAmount(Math.max(night.rate + adjustment, 0)),
+    ratePlanAdjustment: roundAmount(adjustment)
+  };
+};
+
+/**
+ * Price a stay night by night
+ * @param {Object} room - Room document
+ * @param {String|Date} startDate - Check-in date
+ * @param {String|Date} endDate - Check-out date
+ * @param {Object} [ratePlan] - Rate plan the stay is sold under
+ * @returns {Object} Per-night breakdown and total price
+ */
+exports.priceStay = (room, startDate, endDate, ratePlan = null) => {
+  const nightlyRates = getNights(startDate, endDate).map(date => {
+    const night = exports.getNightlyRate(room, date);
+    return ratePlan ? applyRatePlan(night, ratePlan) : night;
+  });
+
+  const totalPrice = roundAmount(
+    nightlyRates.reduce((sum, night) => sum + night.rate, 0)
+  );
+
+  return {
+    nightlyRates,
+    totalPrice
+  };
+};
+
+/**
+ * Price a hotel's taxes and fees for a stay
+ * @param {Array} rules - Hotel tax and fee definitions
+ * @param {Object} stay - Taxable amount, nights and guests of the stay
+ * @returns {Array} One line item per rule
+ */
+exports.applyTaxes = (rules, { taxableAmount, nights, guestCount }) => {
+  return (rules || []).map(rule => {
+    let amount;
+
+    switch (rule.type) {
+      case 'percentage':
+        // Inclusive percentages are extracted from the price, not added on top
+        amount = rule.isInclusive
+          ? taxableAmount - taxableAmount / (1 + rule.rate / 100)
+          : taxableAmount * rule.rate / 100;
+        break;
+      case 'per_person_per_night':
+        amount = rule.rate * guestCount * nights;
+        break;
+      case 'per_night':
+        amount = rule.rate * nights;
+        break;
+      case 'per_stay':
+      default:
+        amount = rule.rate;
+    }
+
+    return {
+      name: rule.name,
+      category: rule.category,
+      type: rule.type,
+      rate: rule.rate,
+      isInclusive: Boolean(rule.isInclusive),
+      amount: roundAmount(amount)
+    };
+  });
+};
+
+/**
+ * Sum the amounts of line items
+ * @param {Array} lines - Line items
+ * @param {Boolean} exclusiveOnly - Skip inclusive lines already in the price
+ * @returns {Number} Total amount
+ */
+const sumLines = (lines, exclusiveOnly = false) => roundAmount(
+  lines
+    .filter(line => !(exclusiveOnly && line.isInclusive))
+    .reduce((sum, line) => sum + line.amount, 0)
+);
+
+/**
+ * Look up a promo code and check that it applies to a stay
+ * @param {String} promoCode - Code entered by the guest
+ * @param {Object} stay - Room, number of nights and guest (see Coupon#getIneligibilityReason)
+ * @returns {Promise<Object>} { coupon } when usable, otherwise { message }
+ */
+exports.findCoupon = async (promoCode, stay) => {
+  const coupon = await Coupon.findOne({ code: String(promoCode).trim().toUpperCase() });
+
+  if (!coupon) {
+    return { message: `Promo code ${promoCode} is not valid` };
+  }
+
+  const message = await coupon.getIneligibilityReason(stay);
+
+  return message ? { message } : { coupon };
+};
+
+/**
+ * Build the full price quote for a stay
+ *
+ * Used both by the quote endpoint and when a booking is created or
+ * modified, so the amount quoted is the amount charged.
+ *
+ * @param {Object} room - Room document
+ * @param {Object} stay - Stay details
+ * @param {String|Date} stay.startDate - Check-in date
+ * @param {String|Date} stay.endDate - Check-out date
+ * @param {Number} stay.guestCount - Number of guests
+ * @param {Object} [stay.ratePlan] - Rate plan the stay is sold under
+ * @param {Object} [stay.coupon] - Validated coupon to discount the stay with
+ * @returns {Promise<Object>} Line-item quote
+ */
+exports.buildQuote = async (room, { startDate, endDate, guestCount, ratePlan, coupon }) => {
+  const { nightlyRates, totalPrice: subtotal } = exports.priceStay(room, startDate, endDate, ratePlan);
+  const hotel = await Hotel.findById(room.populated('hotelId') || room.hotelId).select('taxes currency');
+
+  // Discounts come off the room price before taxes are worked out
+  const discounts = coupon ? [{
+    name: `Promo code ${coupon.code}`,
+    category: 'discount',
+    type: coupon.discountType,
+    rate: coupon.amount,
+    isInclusive: false,
+    amount: coupon.calculateDiscount(subtotal)
+  }] : [];
+  const discountTotal = sumLines(discounts);
+
+  const lines = exports.applyTaxes(hotel ? hotel.taxes : [], {
+    taxableAmount: Math.max(subtotal - discountTotal, 0),
+    nights: nightlyRates.length,
+    guestCount
+  });
+  const taxes = lines.filter(line => line.category !== 'fee');
+  const fees = lines.filter(line => line.category === 'fee');
+
+  return {
+    currency: hotel ? hotel.currency : getBaseCurrency(),
+    nights: nightlyRates.length,
+    guestCount,
+    ratePlan: ratePlan ? {
+      code: ratePlan.code,
+      name: ratePlan.name,
+      inclusions: ratePlan.inclusions
+    } : null,
+    nightlyRates,
+    subtotal,
+    discounts,
+    taxes,
+    fees,
+    discountTotal,
+    taxTotal: sumLines(taxes),
+    feeTotal: sumLines(fees),
+    totalPrice: roundAmount(
+      Math.max(subtotal - discountTotal, 0) + sumLines(taxes, true) + sumLines(fees, true)
+    )
+  };
+};
\ No newline at end of file
@@ -0,0 +1,58 @@
+const fs = require('fs/promises');
+const path = require('path');
+const StorageProvider = require('./StorageProvider');
+
+/**
+ * Stores files in a directory on the server's own disk
+ *
+ * The directory defaults to uploads/ in the project root and is served by
+ * the app itself under baseUrl, so it only suits a single server.
+ * @extends StorageProvider
+ */
+class LocalDiskStorage extends StorageProvider {
+  constructor() {
+    super('local');
+    this.directory = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+    this.baseUrl = (process.env.UPLOAD_BASE_URL || '/uploads').replace(/\/$/, '');
+  }
+
+  /**
+   * Map a storage key to a path inside the upload directory
+   * @param {String} key - Storage key
+   * @returns {String} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return this.getUrl(key);
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+module.exports = LocalDiskStorage;
\ No newline at end of file
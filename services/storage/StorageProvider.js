@@ -0,0 +1,46 @@
+/**
+ * Base class for file storage providers
+ *
+ * Files are addressed by a key such as "hotels/<id>/<name>.jpg". Providers
+ * store the bytes under that key and know the public URL to serve them from,
+ * so callers only ever keep the key and the URL.
+ */
+class StorageProvider {
+  /**
+   * Create a storage provider
+   * @param {String} name - Provider name
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a file, replacing any file already stored under the key
+   * @param {String} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<String>} Public URL of the stored file
+   */
+  async save(key, buffer) {
+    throw new Error(`${this.name} storage does not implement save`);
+  }
+
+  /**
+   * Remove a file; removing a file that does not exist is not an error
+   * @param {String} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.name} storage does not implement delete`);
+  }
+
+  /**
+   * Get the public URL of a stored file
+   * @param {String} key - Storage key
+   * @returns {String} Public URL
+   */
+  getUrl(key) {
+    throw new Error(`${this.name} storage does not implement getUrl`);
+  }
+}
+
+module.exports = StorageProvider;
\ No newline at end of file
@@ -0,0 +1,33 @@
+const LocalDiskStorage = require('./LocalDiskStorage');
+
+/**
+ * Available storage providers, keyed by the STORAGE_PROVIDER env value
+ */
+const providers = {
+  local: LocalDiskStorage
+};
+
+let storage = null;
+
+/**
+ * Get the configured file storage
+ * @returns {StorageProvider} Shared storage instance
+ */
+const getStorage = () => {
+  if (!storage) {
+    const providerName = process.env.STORAGE_PROVIDER || 'local';
+    const Provider = providers[providerName];
+
+    if (!Provider) {
+      throw new Error(`Unknown storage provider: ${providerName}`);
+    }
+
+    storage = new Provider();
+  }
+
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
\ No newline at end of file
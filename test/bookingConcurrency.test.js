@@ -0,0 +1,120 @@
+/**
+ * Parallel bookings of the same room must never both succeed
+ *
+ * Needs a MongoDB server; set MONGO_URI_TEST to a database the test may
+ * drop, e.g. mongodb://localhost:27017/hotel-booking-test. Skipped otherwise.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || '1h';
+
+const User = require('../models/User');
+const Hotel = require('../models/Hotel');
+const Room = require('../models/Room');
+const RoomNight = require('../models/RoomNight');
+const errorHandler = require('../middlewares/errorHandler');
+
+const PARALLEL_REQUESTS = 10;
+
+describe('POST /api/bookings under concurrency', { skip: !process.env.MONGO_URI_TEST && 'MONGO_URI_TEST is not set' }, () => {
+  let server;
+  let baseUrl;
+  let token;
+  let hotel;
+
+  before(async () => {
+    await mongoose.connect(process.env.MONGO_URI_TEST);
+    await mongoose.connection.dropDatabase();
+    await RoomNight.syncIndexes();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/bookings', require('../routes/bookingRoutes'));
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const user = await User.create({ name: 'Guest', email: 'guest@example.com', password: 'secret1' });
+    token = user.getSignedJwtToken();
+
+    hotel = await Hotel.create({
+      name: 'Test Hotel',
+      description: 'Hotel for concurrency tests',
+      location: 'Testville',
+      address: { city: 'Testville', country: 'Testland' },
+      starRating: 3,
+      createdBy: user._id
+    });
+  });
+
+  after(async () => {
+    if (server) {
+      server.close();
+    }
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  /**
+   * Send the same booking request many times at once
+   * @param {Object} body - Booking request body
+   * @returns {Promise<Array<Number>>} Response status codes
+   */
+  const bookInParallel = (body) => Promise.all(
+    Array.from({ length: PARALLEL_REQUESTS }, () => fetch(`${baseUrl}/api/bookings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(body)
+    }).then(response => response.status))
+  );
+
+  it('confirms exactly one booking for a single room', async () => {
+    const room = await Room.create({
+      hotelId: hotel._id,
+      roomType: 'Double',
+      roomNumber: '101',
+      pricePerNight: 100,
+      maxGuests: 2
+    });
+
+    const statuses = await bookInParallel({
+      roomId: room._id,
+      startDate: '2030-06-01',
+      endDate: '2030-06-04',
+      guestCount: 2
+    });
+
+    assert.strictEqual(statuses.filter(status => status === 201).length, 1);
+    assert.strictEqual(statuses.filter(status => status === 409).length, PARALLEL_REQUESTS - 1);
+    assert.strictEqual(await RoomNight.countDocuments({ roomId: room._id }), 3);
+  });
+
+  it('assigns every free room of a type before turning guests away', async () => {
+    await Room.create(['201', '202'].map(roomNumber => ({
+      hotelId: hotel._id,
+      roomType: 'Suite',
+      roomNumber,
+      pricePerNight: 300,
+      maxGuests: 4
+    })));
+
+    const statuses = await bookInParallel({
+      hotelId: hotel._id,
+      roomType: 'Suite',
+      startDate: '2030-06-01',
+      endDate: '2030-06-03',
+      guestCount: 2
+    });
+
+    assert.strictEqual(statuses.filter(status => status === 201).length, 2);
+    assert.strictEqual(statuses.filter(status => status === 409).length, PARALLEL_REQUESTS - 2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Refunds under hotel and rate plan cancellation policies
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { calculateRefund, mergePolicies, getCapturedAmount } = require('../utils/cancellationPolicy');
+
+const HOUR = 60 * 60 * 1000;
+const CHECK_IN = new Date('2030-06-10T00:00:00Z');
+
+/**
+ * Build a paid booking for three nights starting at CHECK_IN
+ * @param {Object} [overrides] - Booking fields to replace
+ * @returns {Object} Plain booking
+ */
+const makeBooking = (overrides = {}) => ({
+  startDate: CHECK_IN,
+  endDate: new Date('2030-06-13T00:00:00Z'),
+  totalPrice: 600,
+  nightlyRates: [
+    { date: new Date('2030-06-10T00:00:00Z'), rate: 150 },
+    { date: new Date('2030-06-11T00:00:00Z'), rate: 200 },
+    { date: new Date('2030-06-12T00:00:00Z'), rate: 250 }
+  ],
+  paymentInfo: {
+    payments: [{ kind: 'full', amount: 600 }],
+    amountPaid: 600
+  },
+  ...overrides
+});
+
+const policy = { isRefundable: true, freeCancellationHours: 48, latePenalty: 'first_night' };
+
+describe('calculateRefund', () => {
+  it('refunds everything before the free cancellation deadline', () => {
+    const refund = calculateRefund(makeBooking(), policy, new Date(CHECK_IN.getTime() - 72 * HOUR));
+
+    assert.strictEqual(refund.penaltyAmount, 0);
+    assert.strictEqual(refund.refundAmount, 600);
+    assert.strictEqual(refund.isFreeCancellation, true);
+    assert.strictEqual(refund.freeCancellationDeadline.toISOString(), '2030-06-08T00:00:00.000Z');
+  });
+
+  it('still cancels for free exactly at the deadline', () => {
+    const refund = calculateRefund(makeBooking(), policy, new Date(CHECK_IN.getTime() - 48 * HOUR));
+
+    assert.strictEqual(refund.isFreeCancellation, true);
+    assert.strictEqual(refund.refundAmount, 600);
+  });
+
+  it('charges the first night from just after the deadline', () => {
+    const refund = calculateRefund(makeBooking(), policy, new Date(CHECK_IN.getTime() - 48 * HOUR + 1));
+
+    assert.strictEqual(refund.isFreeCancellation, false);
+    assert.strictEqual(refund.penaltyAmount, 150);
+    assert.strictEqual(refund.refundAmount, 450);
+  });
+
+  it('keeps charging the late penalty after check-in', () => {
+    const refund = calculateRefund(makeBooking(), policy, new Date(CHECK_IN.getTime() + 12 * HOUR));
+
+    assert.strictEqual(refund.penaltyAmount, 150);
+    assert.strictEqual(refund.refundAmount, 450);
+  });
+
+  it('averages the first night when nightly rates were not stored', () => {
+    const refund = calculateRefund(makeBooking({ nightlyRates: [] }), policy, CHECK_IN);
+
+    assert.strictEqual(refund.penaltyAmount, 200);
+  });
+
+  it('charges a percentage of the stay, rounded to cents', () => {
+    const booking = makeBooking({ totalPrice: 333.33, paymentInfo: { payments: [{ amount: 333.33 }], amountPaid: 333.33 } });
+    const refund = calculateRefund(booking, { latePenalty: 'percentage', penaltyPercentage: 15 }, CHECK_IN);
+
+    assert.strictEqual(refund.penaltyAmount, 50);
+    assert.strictEqual(refund.refundAmount, 283.33);
+  });
+
+  it('charges the full stay for a full late penalty', () => {
+    const refund = calculateRefund(makeBooking(), { latePenalty: 'full' }, CHECK_IN);
+
+    assert.strictEqual(refund.refundAmount, 0);
+  });
+
+  it('never refunds a non-refundable booking', () => {
+    const refund = calculateRefund(
+      makeBooking(),
+      { isRefundable: false },
+      new Date(CHECK_IN.getTime() - 30 * 24 * HOUR)
+    );
+
+    assert.strictEqual(refund.penaltyAmount, 600);
+    assert.strictEqual(refund.refundAmount, 0);
+    assert.strictEqual(refund.freeCancellationDeadline, null);
+  });
+
+  it('only gives back what was paid, e.g. part of a deposit', () => {
+    const booking = makeBooking({ paymentInfo: { payments: [{ kind: 'deposit', amount: 100 }], amountPaid: 100 } });
+    const refund = calculateRefund(booking, policy, CHECK_IN);
+
+    assert.strictEqual(refund.amountPaid, 100);
+    assert.strictEqual(refund.refundAmount, 0);
+  });
+
+  it('uses the default policy when none is given', () => {
+    const refund = calculateRefund(makeBooking(), null, new Date(CHECK_IN.getTime() - 49 * HOUR));
+
+    assert.strictEqual(refund.isFreeCancellation, true);
+  });
+
+  it('refunds legacy bookings from their captured transactions only', () => {
+    const uncharged = makeBooking({ paymentInfo: { transactions: [] } });
+    const charged = makeBooking({
+      paymentInfo: {
+        transactions: [
+          { type: 'capture', status: 'succeeded', amount: 600 },
+          { type: 'capture', status: 'failed', amount: 600 }
+        ]
+      }
+    });
+    const cancelledAt = new Date(CHECK_IN.getTime() - 72 * HOUR);
+
+    assert.strictEqual(calculateRefund(uncharged, policy, cancelledAt).refundAmount, 0);
+    assert.strictEqual(calculateRefund(charged, policy, cancelledAt).refundAmount, 600);
+  });
+});
+
+describe('getCapturedAmount', () => {
+  it('subtracts succeeded refunds from succeeded captures and never goes below 0', () => {
+    assert.strictEqual(getCapturedAmount([
+      { type: 'capture', status: 'succeeded', amount: 100.1 },
+      { type: 'refund', status: 'succeeded', amount: 40.05 },
+      { type: 'refund', status: 'failed', amount: 60 }
+    ]), 60.05);
+    assert.strictEqual(getCapturedAmount([{ type: 'refund', status: 'succeeded', amount: 10 }]), 0);
+  });
+});
+
+describe('mergePolicies', () => {
+  it('lets a rate plan override only the fields it sets', () => {
+    assert.deepStrictEqual(
+      mergePolicies(policy, { isRefundable: false, freeCancellationHours: null }),
+      { isRefundable: false, freeCancellationHours: 48, latePenalty: 'first_night' }
+    );
+  });
+});
\ No newline at end of file
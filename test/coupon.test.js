@@ -0,0 +1,94 @@
+/**
+ * Promo code discounts and eligibility
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Coupon = require('../models/Coupon');
+const Room = require('../models/Room');
+
+const hotelId = new mongoose.Types.ObjectId();
+const room = new Room({
+  hotelId,
+  roomType: 'Double',
+  roomNumber: '101',
+  pricePerNight: 100,
+  maxGuests: 2
+});
+
+/**
+ * Build an unsaved coupon
+ * @param {Object} [fields] - Coupon fields to replace
+ * @returns {Object} Coupon document
+ */
+const makeCoupon = (fields = {}) => new Coupon({
+  code: 'SUMMER',
+  discountType: 'percentage',
+  amount: 10,
+  ...fields
+});
+
+describe('Coupon#calculateDiscount', () => {
+  it('takes a percentage of the amount, rounded to cents', () => {
+    assert.strictEqual(makeCoupon({ amount: 15 }).calculateDiscount(333.33), 50);
+  });
+
+  it('takes a fixed amount off', () => {
+    assert.strictEqual(makeCoupon({ discountType: 'fixed', amount: 25 }).calculateDiscount(200), 25);
+  });
+
+  it('never discounts more than the amount', () => {
+    assert.strictEqual(makeCoupon({ discountType: 'fixed', amount: 250 }).calculateDiscount(200), 200);
+    assert.strictEqual(makeCoupon({ amount: 100 }).calculateDiscount(200), 200);
+  });
+});
+
+describe('Coupon validation', () => {
+  it('caps percentage discounts at 100', async () => {
+    await assert.rejects(makeCoupon({ amount: 101 }).validate(), /Percentage discount cannot be more than 100/);
+    await assert.doesNotReject(makeCoupon({ discountType: 'fixed', amount: 101 }).validate());
+  });
+
+  it('requires the validity window to end after it starts', async () => {
+    await assert.rejects(
+      makeCoupon({ validFrom: '2030-07-01', validUntil: '2030-06-01' }).validate(),
+      /Coupon must end after it starts/
+    );
+  });
+});
+
+describe('Coupon#getScopeViolation', () => {
+  it('requires the minimum number of nights', () => {
+    const coupon = makeCoupon({ minNights: 3 });
+
+    assert.match(coupon.getScopeViolation({ room, nights: 2 }), /at least 3 nights/);
+    assert.strictEqual(coupon.getScopeViolation({ room, nights: 3 }), null);
+  });
+
+  it('only applies to its hotel and room types', () => {
+    const otherHotel = makeCoupon({ hotelId: new mongoose.Types.ObjectId() });
+    const suitesOnly = makeCoupon({ hotelId, roomTypes: ['Suite'] });
+
+    assert.match(otherHotel.getScopeViolation({ room, nights: 1 }), /not valid for this hotel/);
+    assert.match(suitesOnly.getScopeViolation({ room, nights: 1 }), /not valid for Double rooms/);
+  });
+});
+
+describe('Coupon#getIneligibilityReason', () => {
+  it('rejects inactive, expired and fully redeemed codes', async () => {
+    assert.match(await makeCoupon({ isActive: false }).getIneligibilityReason({ room, nights: 1 }), /no longer active/);
+    assert.match(
+      await makeCoupon({ validUntil: '2020-01-01' }).getIneligibilityReason({ room, nights: 1 }),
+      /not valid at this time/
+    );
+    assert.match(
+      await makeCoupon({ maxUses: 5, usedCount: 5 }).getIneligibilityReason({ room, nights: 1 }),
+      /fully redeemed/
+    );
+  });
+
+  it('accepts a code in scope with uses left', async () => {
+    assert.strictEqual(await makeCoupon({ maxUses: 5, usedCount: 4 }).getIneligibilityReason({ room, nights: 1 }), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Conversion between a hotel's currency and the guest's
+ */
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const currencyService = require('../services/currencyService');
+
+const { getConversionRate, convertAmount, convertQuote } = currencyService;
+
+// Rates against a USD base, as getExchangeRates returns them
+const rates = { USD: 1, EUR: 0.9, GBP: 0.8, JPY: 150 };
+
+describe('getConversionRate', () => {
+  it('returns 1 for the same currency, whatever the case, even without a rate', () => {
+    assert.strictEqual(getConversionRate({}, 'chf', 'CHF'), 1);
+  });
+
+  it('converts from and to the base currency', () => {
+    assert.strictEqual(getConversionRate(rates, 'USD', 'EUR'), 0.9);
+    assert.strictEqual(getConversionRate(rates, 'JPY', 'usd'), 0.006667);
+  });
+
+  it('converts between two other currencies through the base, to six decimals', () => {
+    assert.strictEqual(getConversionRate(rates, 'EUR', 'GBP'), 0.888889);
+  });
+
+  it('returns null when either currency has no rate', () => {
+    assert.strictEqual(getConversionRate(rates, 'EUR', 'CHF'), null);
+    assert.strictEqual(getConversionRate(rates, 'CHF', 'EUR'), null);
+  });
+
+  it('treats a missing source currency as the base currency', () => {
+    assert.strictEqual(getConversionRate(rates, undefined, 'EUR'), 0.9);
+  });
+});
+
+describe('convertAmount', () => {
+  it('rounds converted amounts to cents', () => {
+    assert.strictEqual(convertAmount(99.99, 0.888889), 88.88);
+    assert.strictEqual(convertAmount(0, 0.9), 0);
+  });
+});
+
+describe('convertQuote', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('converts every amount of a quote and records the rate used', async () => {
+    mock.method(currencyService, 'getExchangeRates', async () => rates);
+
+    const converted = await convertQuote({
+      currency: 'USD',
+      nightlyRates: [{ date: '2030-06-03', rate: 100 }],
+      subtotal: 100,
+      discountTotal: 10,
+      taxTotal: 9,
+      feeTotal: 5,
+      totalPrice: 104
+    }, 'eur');
+
+    assert.deepStrictEqual(converted, {
+      currency: 'EUR',
+      exchangeRate: 0.9,
+      nightlyRates: [{ date: '2030-06-03', rate: 90 }],
+      subtotal: 90,
+      discountTotal: 9,
+      taxTotal: 8.1,
+      feeTotal: 4.5,
+      totalPrice: 93.6
+    });
+  });
+
+  it('returns null for a currency without a rate', async () => {
+    mock.method(currencyService, 'getExchangeRates', async () => rates);
+
+    assert.strictEqual(await convertQuote({ currency: 'USD' }, 'CHF'), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Night arithmetic behind room-night reservations and stay date checks
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { startOfUTCDay, getNights, getStayDateError, getMonthRange } = require('../utils/dateUtils');
+
+/**
+ * Format dates as YYYY-MM-DD for readable assertions
+ * @param {Array<Date>} dates - Dates to format
+ * @returns {Array<String>} ISO days
+ */
+const toDays = (dates) => dates.map(date => date.toISOString().slice(0, 10));
+
+describe('startOfUTCDay', () => {
+  it('drops the time of day', () => {
+    assert.strictEqual(startOfUTCDay('2030-06-01T23:59:59.999Z').toISOString(), '2030-06-01T00:00:00.000Z');
+  });
+});
+
+describe('getNights', () => {
+  it('lists each night of the stay without the check-out day', () => {
+    assert.deepStrictEqual(toDays(getNights('2030-06-01', '2030-06-04')), ['2030-06-01', '2030-06-02', '2030-06-03']);
+  });
+
+  it('counts nights by calendar day whatever the arrival and departure times', () => {
+    assert.deepStrictEqual(toDays(getNights('2030-06-01T15:00:00Z', '2030-06-02T10:00:00Z')), ['2030-06-01']);
+  });
+
+  it('crosses month and year ends', () => {
+    assert.deepStrictEqual(toDays(getNights('2030-12-31', '2031-01-02')), ['2030-12-31', '2031-01-01']);
+  });
+
+  it('returns no nights for a same-day or reversed stay', () => {
+    assert.deepStrictEqual(getNights('2030-06-01T08:00:00Z', '2030-06-01T20:00:00Z'), []);
+    assert.deepStrictEqual(getNights('2030-06-04', '2030-06-01'), []);
+  });
+});
+
+describe('getStayDateError', () => {
+  it('accepts a future stay of at least one night', () => {
+    assert.strictEqual(getStayDateError('2030-06-01', '2030-06-02'), null);
+  });
+
+  it('accepts a stay starting today', () => {
+    const today = startOfUTCDay(new Date());
+    const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+
+    assert.strictEqual(getStayDateError(today, tomorrow), null);
+  });
+
+  it('rejects invalid, reversed and same-day dates', () => {
+    const message = 'Check-out date must be after check-in date';
+
+    assert.strictEqual(getStayDateError('not a date', '2030-06-02'), message);
+    assert.strictEqual(getStayDateError('2030-06-02', '2030-06-01'), message);
+    assert.strictEqual(getStayDateError('2030-06-01T08:00:00Z', '2030-06-01T20:00:00Z'), message);
+  });
+
+  it('rejects a stay starting before today', () => {
+    assert.strictEqual(getStayDateError('2020-01-01', '2020-01-03'), 'Check-in date cannot be in the past');
+  });
+});
+
+describe('getMonthRange', () => {
+  it('spans the month up to the first of the next one', () => {
+    const { startDate, endDate } = getMonthRange('2030-12');
+
+    assert.strictEqual(startDate.toISOString(), '2030-12-01T00:00:00.000Z');
+    assert.strictEqual(endDate.toISOString(), '2031-01-01T00:00:00.000Z');
+  });
+
+  it('rejects malformed months', () => {
+    assert.strictEqual(getMonthRange('2030-13'), null);
+    assert.strictEqual(getMonthRange('June'), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Upload errors: bad images are the client's fault, storage failures are not
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+
+const Hotel = require('../models/Hotel');
+const { getStorage } = require('../services/storage');
+const { uploadHotelImages } = require('../controllers/imageController');
+
+const ownerId = new mongoose.Types.ObjectId();
+
+/**
+ * Upload files to a hotel and report the status set before the error
+ * @param {Array} files - Uploaded files as multer gives them
+ * @returns {Promise<Object>} Status code set on the response and the error passed on
+ */
+const upload = (files) => new Promise((resolve, reject) => {
+  const req = {
+    params: { id: 'hotel-id' },
+    body: {},
+    files,
+    user: { id: ownerId.toString(), role: 'admin' }
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      reject(new Error('Expected the upload to fail'));
+    }
+  };
+
+  uploadHotelImages(req, res, error => resolve({ statusCode: res.statusCode, error }));
+});
+
+describe('uploadHotelImages', () => {
+  beforeEach(() => {
+    mock.method(Hotel, 'findById', async () => new Hotel({
+      name: 'Test Hotel',
+      description: 'Hotel for upload tests',
+      location: 'Testville',
+      address: { city: 'Testville', country: 'Testland' },
+      starRating: 3,
+      createdBy: ownerId
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('answers 400 for a file that is not an image', async () => {
+    const { statusCode, error } = await upload([{ originalname: 'notes.txt', buffer: Buffer.from('hello') }]);
+
+    assert.strictEqual(statusCode, 400);
+    assert.match(error.message, /notes.txt is not a JPEG, PNG or WebP image/);
+  });
+
+  it('leaves storage failures to the error handler as server errors', async () => {
+    mock.method(getStorage(), 'save', async () => {
+      throw new Error('Disk full');
+    });
+
+    const image = await sharp({
+      create: { width: 10, height: 10, channels: 3, background: '#ff0000' }
+    }).png().toBuffer();
+    const { statusCode, error } = await upload([{ originalname: 'lobby.png', buffer: image }]);
+
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(error.message, 'Disk full');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Deposits, balances and refunds across several payments, using the mock
+ * payment gateway
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const {
+  calculateDeposit,
+  chargePayment,
+  refundPayment,
+  updatePaymentSummary
+} = require('../services/paymentService');
+
+/**
+ * Build an unsaved three-night booking
+ * @param {Object} [fields] - Booking fields to replace
+ * @returns {Object} Booking document
+ */
+const makeBooking = (fields = {}) => new Booking({
+  userId: new mongoose.Types.ObjectId(),
+  roomId: new mongoose.Types.ObjectId(),
+  hotelId: new mongoose.Types.ObjectId(),
+  startDate: '2030-06-03',
+  endDate: '2030-06-06',
+  guestCount: 2,
+  status: 'confirmed',
+  totalPrice: 450,
+  nightlyRates: [
+    { date: '2030-06-03', rate: 120 },
+    { date: '2030-06-04', rate: 150 },
+    { date: '2030-06-05', rate: 180 }
+  ],
+  ...fields
+});
+
+describe('calculateDeposit', () => {
+  it('takes the full total without a deposit policy', () => {
+    assert.strictEqual(calculateDeposit(makeBooking()), 450);
+    assert.strictEqual(calculateDeposit(makeBooking(), null), 450);
+  });
+
+  it('takes a percentage of the total, rounded to cents', () => {
+    assert.strictEqual(calculateDeposit(makeBooking({ totalPrice: 333.33 }), { type: 'percentage', percentage: 30 }), 100);
+  });
+
+  it('takes the first night', () => {
+    assert.strictEqual(calculateDeposit(makeBooking(), { type: 'first_night' }), 120);
+  });
+
+  it('never asks for more than the total', () => {
+    assert.strictEqual(calculateDeposit(makeBooking({ totalPrice: 100 }), { type: 'first_night' }), 100);
+  });
+});
+
+describe('payments on a booking', () => {
+  it('tracks the balance due after a deposit and clears it with the balance', async () => {
+    const booking = makeBooking();
+
+    await chargePayment(booking, { paymentToken: 'tok_visa' }, 135, 'deposit');
+
+    assert.strictEqual(booking.paymentInfo.amountPaid, 135);
+    assert.strictEqual(booking.paymentInfo.balanceDue, 315);
+    assert.strictEqual(booking.paymentInfo.paymentStatus, 'partially_paid');
+
+    await chargePayment(booking, { paymentToken: 'tok_visa' }, 315, 'balance');
+
+    assert.strictEqual(booking.paymentInfo.amountPaid, 450);
+    assert.strictEqual(booking.paymentInfo.balanceDue, 0);
+    assert.strictEqual(booking.paymentInfo.paymentStatus, 'completed');
+  });
+
+  it('records nothing for a declined card', async () => {
+    const booking = makeBooking();
+    const result = await chargePayment(booking, { paymentToken: 'tok_declined' }, 450);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(booking.paymentInfo.payments.length, 0);
+    assert.strictEqual(booking.paymentInfo.paymentStatus, 'failed');
+  });
+
+  it('refunds the newest payment first and splits the rest onto older ones', async () => {
+    const booking = makeBooking();
+
+    await chargePayment(booking, { paymentToken: 'tok_visa' }, 135, 'deposit');
+    await chargePayment(booking, { paymentToken: 'tok_visa' }, 315, 'balance');
+
+    const result = await refundPayment(booking, 400);
+    const [deposit, balance] = booking.paymentInfo.payments;
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(balance.amountRefunded, 315);
+    assert.strictEqual(balance.status, 'refunded');
+    assert.strictEqual(deposit.amountRefunded, 85);
+    assert.strictEqual(deposit.status, 'partially_refunded');
+    assert.strictEqual(booking.paymentInfo.amountPaid, 50);
+    assert.strictEqual(booking.paymentInfo.amountRefunded, 400);
+    assert.strictEqual(booking.paymentInfo.paymentStatus, 'partially_refunded');
+  });
+
+  it('never refunds more than was captured', async () => {
+    const booking = makeBooking();
+
+    await chargePayment(booking, { paymentToken: 'tok_visa' }, 135, 'deposit');
+    await refundPayment(booking, 1000);
+
+    assert.strictEqual(booking.paymentInfo.amountRefunded, 135);
+    assert.strictEqual(booking.paymentInfo.amountPaid, 0);
+    assert.strictEqual(booking.paymentInfo.paymentStatus, 'refunded');
+  });
+
+  it('refunds a booking made before payments were itemised from its capture', async () => {
+    const booking = makeBooking();
+    booking.paymentInfo.transactionId = 'legacy_txn_1';
+    booking.paymentInfo.transactions.push({ type: 'capture', status: 'succeeded', amount: 450, transactionId: 'legacy_txn_1' });
+
+    const result = await refundPayment(booking, 200);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(booking.paymentInfo.payments.length, 1);
+    assert.strictEqual(booking.paymentInfo.amountPaid, 250);
+  });
+
+  it('has nothing to refund on a booking that was never charged', async () => {
+    const booking = makeBooking();
+    const result = await refundPayment(booking, 200);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(booking.paymentInfo.amountRefunded, 0);
+  });
+});
+
+describe('updatePaymentSummary', () => {
+  it('owes nothing on a cancelled booking', () => {
+    const booking = makeBooking({ status: 'cancelled' });
+
+    booking.paymentInfo.payments.push({ kind: 'deposit', amount: 135, status: 'captured', transactionId: 't1' });
+    updatePaymentSummary(booking);
+
+    assert.strictEqual(booking.paymentInfo.amountPaid, 135);
+    assert.strictEqual(booking.paymentInfo.balanceDue, 0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * Stay pricing shared by quotes and bookings
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Hotel = require('../models/Hotel');
+const Room = require('../models/Room');
+const Coupon = require('../models/Coupon');
+const { priceStay, getNightlyRate, applyTaxes, buildQuote } = require('../services/pricingService');
+
+/**
+ * Build a room priced at 100 a night
+ * @param {Object} [overrides] - Room fields to replace
+ * @returns {Object} Plain room
+ */
+const makeRoom = (overrides = {}) => ({
+  pricePerNight: 100,
+  seasonalRates: [],
+  rateOverrides: [],
+  ...overrides
+});
+
+/**
+ * List the nightly rates of a priced stay
+ * @param {Object} stay - Result of priceStay
+ * @returns {Array<Number>} Rates, night by night
+ */
+const ratesOf = (stay) => stay.nightlyRates.map(night => night.rate);
+
+describe('priceStay', () => {
+  it('sums the base price of each night, check-out day excluded', () => {
+    const stay = priceStay(makeRoom(), '2030-06-03', '2030-06-06');
+
+    assert.deepStrictEqual(ratesOf(stay), [100, 100, 100]);
+    assert.strictEqual(stay.totalPrice, 300);
+    assert.deepStrictEqual(stay.nightlyRates.map(night => night.source), ['base', 'base', 'base']);
+  });
+
+  it('prices nights inside a season at the seasonal rate, its end date included', () => {
+    const room = makeRoom({
+      seasonalRates: [{ name: 'Summer', startDate: '2030-06-04', endDate: '2030-06-05', pricePerNight: 150 }]
+    });
+    const stay = priceStay(room, '2030-06-03', '2030-06-07');
+
+    assert.deepStrictEqual(ratesOf(stay), [100, 150, 150, 100]);
+    assert.strictEqual(stay.nightlyRates[1].season, 'Summer');
+    assert.strictEqual(stay.totalPrice, 500);
+  });
+
+  it('lets a per-date override win over a season', () => {
+    const room = makeRoom({
+      seasonalRates: [{ startDate: '2030-06-01', endDate: '2030-06-30', pricePerNight: 150 }],
+      rateOverrides: [{ date: '2030-06-04', pricePerNight: 80 }]
+    });
+    const stay = priceStay(room, '2030-06-03', '2030-06-05');
+
+    assert.deepStrictEqual(ratesOf(stay), [150, 80]);
+    assert.strictEqual(stay.nightlyRates[1].source, 'override');
+  });
+
+  it('adds a weekend surcharge on the configured days only', () => {
+    // 2030-06-07 is a Friday
+    const fixed = makeRoom({ weekendSurcharge: { type: 'fixed', amount: 20, days: [5, 6] } });
+    const percentage = makeRoom({ weekendSurcharge: { type: 'percentage', amount: 12.5, days: [6] } });
+
+    assert.deepStrictEqual(ratesOf(priceStay(fixed, '2030-06-06', '2030-06-09')), [100, 120, 120]);
+    assert.deepStrictEqual(ratesOf(priceStay(percentage, '2030-06-06', '2030-06-09')), [100, 100, 112.5]);
+  });
+
+  it('applies a rate plan modifier to every night', () => {
+    const room = makeRoom({
+      seasonalRates: [{ startDate: '2030-06-04', endDate: '2030-06-04', pricePerNight: 200 }]
+    });
+    const breakfast = { priceModifier: { type: 'fixed', amount: 25 } };
+    const nonRefundable = { priceModifier: { type: 'percentage', amount: -10 } };
+
+    assert.deepStrictEqual(ratesOf(priceStay(room, '2030-06-03', '2030-06-05', breakfast)), [125, 225]);
+    assert.deepStrictEqual(ratesOf(priceStay(room, '2030-06-03', '2030-06-05', nonRefundable)), [90, 180]);
+  });
+
+  it('never prices a night below zero', () => {
+    const stay = priceStay(makeRoom(), '2030-06-03', '2030-06-04', { priceModifier: { type: 'fixed', amount: -150 } });
+
+    assert.strictEqual(stay.totalPrice, 0);
+  });
+
+  it('rounds each night and the total to cents', () => {
+    const stay = priceStay(makeRoom({ pricePerNight: 33.333 }), '2030-06-03', '2030-06-06');
+
+    assert.deepStrictEqual(ratesOf(stay), [33.33, 33.33, 33.33]);
+    assert.strictEqual(stay.totalPrice, 99.99);
+  });
+
+  it('prices an empty stay at zero', () => {
+    assert.deepStrictEqual(priceStay(makeRoom(), '2030-06-03', '2030-06-03'), { nightlyRates: [], totalPrice: 0 });
+  });
+});
+
+describe('getNightlyRate', () => {
+  it('falls back to the base price outside every season', () => {
+    const room = makeRoom({
+      seasonalRates: [{ startDate: '2030-07-01', endDate: '2030-07-31', pricePerNight: 150 }]
+    });
+
+    assert.strictEqual(getNightlyRate(room, new Date('2030-06-30T00:00:00Z')).rate, 100);
+  });
+});
+
+describe('applyTaxes', () => {
+  const stay = { taxableAmount: 200, nights: 2, guestCount: 3 };
+
+  it('charges each kind of tax or fee on its own basis', () => {
+    const lines = applyTaxes([
+      { name: 'VAT', category: 'tax', type: 'percentage', rate: 10 },
+      { name: 'Tourist tax', category: 'tax', type: 'per_person_per_night', rate: 2.5 },
+      { name: 'Resort fee', category: 'fee', type: 'per_night', rate: 15 },
+      { name: 'Cleaning fee', category: 'fee', type: 'per_stay', rate: 30 }
+    ], stay);
+
+    assert.deepStrictEqual(lines.map(line => line.amount), [20, 15, 30, 30]);
+  });
+
+  it('extracts inclusive percentages from the price instead of adding them', () => {
+    const [line] = applyTaxes([{ name: 'VAT', type: 'percentage', rate: 20, isInclusive: true }], {
+      ...stay,
+      taxableAmount: 120
+    });
+
+    assert.strictEqual(line.amount, 20);
+    assert.strictEqual(line.isInclusive, true);
+  });
+
+  it('rounds amounts to cents', () => {
+    const [line] = applyTaxes([{ name: 'VAT', type: 'percentage', rate: 7 }], { ...stay, taxableAmount: 99.99 });
+
+    assert.strictEqual(line.amount, 7);
+  });
+
+  it('has no lines for a hotel without taxes', () => {
+    assert.deepStrictEqual(applyTaxes(undefined, stay), []);
+  });
+});
+
+describe('buildQuote', () => {
+  const hotel = {
+    currency: 'EUR',
+    taxes: [
+      { name: 'VAT', category: 'tax', type: 'percentage', rate: 10 },
+      { name: 'City tax', category: 'tax', type: 'percentage', rate: 5, isInclusive: true },
+      { name: 'Cleaning fee', category: 'fee', type: 'per_stay', rate: 30 }
+    ]
+  };
+  const room = new Room({
+    hotelId: new mongoose.Types.ObjectId(),
+    roomType: 'Double',
+    roomNumber: '101',
+    pricePerNight: 100,
+    maxGuests: 2
+  });
+
+  beforeEach(() => {
+    mock.method(Hotel, 'findById', () => ({ select: async () => hotel }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('works out taxes on the discounted price and adds exclusive lines to the total', async () => {
+    const coupon = new Coupon({ code: 'SAVE20', discountType: 'percentage', amount: 20 });
+    const quote = await buildQuote(room, {
+      startDate: '2030-06-03',
+      endDate: '2030-06-05',
+      guestCount: 2,
+      coupon
+    });
+
+    assert.strictEqual(quote.currency, 'EUR');
+    assert.strictEqual(quote.subtotal, 200);
+    assert.strictEqual(quote.discountTotal, 40);
+    assert.deepStrictEqual(quote.taxes.map(line => line.amount), [16, 7.62]);
+    assert.strictEqual(quote.taxTotal, 23.62);
+    assert.strictEqual(quote.feeTotal, 30);
+    // 160 after the discount, plus VAT and the cleaning fee; city tax is already included
+    assert.strictEqual(quote.totalPrice, 206);
+  });
+
+  it('never taxes a negative amount when the discount covers the stay', async () => {
+    const coupon = new Coupon({ code: 'FREE', discountType: 'fixed', amount: 500 });
+    const quote = await buildQuote(room, {
+      startDate: '2030-06-03',
+      endDate: '2030-06-05',
+      guestCount: 2,
+      coupon
+    });
+
+    assert.strictEqual(quote.discountTotal, 200);
+    assert.strictEqual(quote.taxTotal, 0);
+    assert.strictEqual(quote.totalPrice, 30);
+  });
+});
\ No newline at end of file
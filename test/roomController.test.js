@@ -0,0 +1,66 @@
+/**
+ * Room updates must pass the same schema checks as room creation
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Room = require('../models/Room');
+const { updateRoom } = require('../controllers/roomController');
+
+/**
+ * Run updateRoom on a stored room and return the error it passes on
+ * @param {Object} body - Request body
+ * @returns {Promise<Error>} Error given to next
+ */
+const updateWith = (body) => new Promise((resolve, reject) => {
+  const req = { params: { id: 'room-id' }, body, user: { id: 'admin-id', role: 'admin' } };
+  const res = {
+    status() {
+      return this;
+    },
+    json() {
+      reject(new Error('Expected the update to be rejected'));
+    }
+  };
+
+  updateRoom(req, res, resolve);
+});
+
+describe('updateRoom', () => {
+  beforeEach(() => {
+    // Nothing is written: validation fails before save reaches the database
+    mock.method(Room, 'findById', async () => new Room({
+      hotelId: new mongoose.Types.ObjectId(),
+      roomType: 'Double',
+      roomNumber: '101',
+      pricePerNight: 100,
+      maxGuests: 2
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects two rate plans with the same code', async () => {
+    const error = await updateWith({
+      ratePlans: [
+        { code: 'flex', name: 'Flexible' },
+        { code: 'FLEX', name: 'Flexible with breakfast' }
+      ]
+    });
+
+    assert.strictEqual(error.name, 'ValidationError');
+    assert.match(error.message, /Rate plan codes must be unique within a room/);
+  });
+
+  it('rejects a stay restriction that ends before it starts', async () => {
+    const error = await updateWith({
+      stayRestrictions: [{ name: 'Festival', startDate: '2030-06-10', endDate: '2030-06-01', minNights: 2 }]
+    });
+
+    assert.strictEqual(error.name, 'ValidationError');
+    assert.match(error.message, /Restriction must end on or after its start date/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Staff can only act on the hotels they are assigned to; admins on every hotel
+ */
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const { checkIn, checkOut } = require('../controllers/bookingController');
+
+const hotelId = new mongoose.Types.ObjectId();
+const otherHotelId = new mongoose.Types.ObjectId();
+
+const staff = new User({ name: 'Desk', email: 'desk@example.com', role: 'staff', hotelIds: [hotelId] });
+
+/**
+ * Run a front-desk action on a booking at another hotel
+ * @param {Function} action - Controller to run
+ * @returns {Promise<Object>} Status code set and error given to next
+ */
+const runAtOtherHotel = (action) => new Promise((resolve, reject) => {
+  mock.method(Booking, 'findById', async () => ({ hotelId: otherHotelId, status: 'confirmed' }));
+
+  const req = { params: { id: 'booking-id' }, body: {}, user: staff };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      reject(new Error('Expected the action to be refused'));
+    }
+  };
+
+  action(req, res, error => resolve({ statusCode: res.statusCode, error }));
+});
+
+describe('User.worksAtHotel', () => {
+  it('allows staff at their assigned hotels only', () => {
+    assert.strictEqual(staff.worksAtHotel(hotelId), true);
+    assert.strictEqual(staff.worksAtHotel(hotelId.toString()), true);
+    assert.strictEqual(staff.worksAtHotel(otherHotelId), false);
+  });
+
+  it('allows admins at every hotel', () => {
+    const admin = new User({ name: 'Admin', email: 'admin@example.com', role: 'admin' });
+
+    assert.strictEqual(admin.worksAtHotel(otherHotelId), true);
+  });
+
+  it('refuses guests even if hotels are set on them', () => {
+    const guest = new User({ name: 'Guest', email: 'guest@example.com', hotelIds: [hotelId] });
+
+    assert.strictEqual(guest.worksAtHotel(hotelId), false);
+  });
+});
+
+describe('front-desk actions', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refuses check-in at a hotel the staff member is not assigned to', async () => {
+    const { statusCode, error } = await runAtOtherHotel(checkIn);
+
+    assert.strictEqual(statusCode, 403);
+    assert.match(error.message, /not authorized to check in guests at this hotel/);
+  });
+
+  it('refuses check-out at a hotel the staff member is not assigned to', async () => {
+    const { statusCode, error } = await runAtOtherHotel(checkOut);
+
+    assert.strictEqual(statusCode, 403);
+    assert.match(error.message, /not authorized to check out guests at this hotel/);
+  });
+});
\ No newline at end of file
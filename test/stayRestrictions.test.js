@@ -0,0 +1,94 @@
+/**
+ * Minimum and maximum stays and closed arrival or departure days
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { findViolation, getRestrictionsForDate } = require('../utils/stayRestrictions');
+
+const festival = {
+  name: 'Festival',
+  startDate: '2030-06-10',
+  endDate: '2030-06-15',
+  minNights: 3,
+  maxNights: 5
+};
+
+describe('findViolation', () => {
+  it('allows a stay that follows every rule', () => {
+    assert.strictEqual(findViolation([festival], '2030-06-10', '2030-06-13'), null);
+  });
+
+  it('enforces the minimum and maximum stay for arrivals in the range', () => {
+    assert.strictEqual(
+      findViolation([festival], '2030-06-11', '2030-06-13'),
+      'Stay violates "Festival": minimum stay is 3 nights'
+    );
+    assert.strictEqual(
+      findViolation([festival], '2030-06-11', '2030-06-17'),
+      'Stay violates "Festival": maximum stay is 5 nights'
+    );
+  });
+
+  it('covers the first and last day of the range', () => {
+    assert.match(findViolation([festival], '2030-06-10', '2030-06-11'), /minimum stay/);
+    assert.match(findViolation([festival], '2030-06-15', '2030-06-16'), /minimum stay/);
+  });
+
+  it('ignores arrivals outside the range, even for stays running into it', () => {
+    assert.strictEqual(findViolation([festival], '2030-06-09', '2030-06-11'), null);
+    assert.strictEqual(findViolation([festival], '2030-06-16', '2030-06-17'), null);
+  });
+
+  it('compares calendar days whatever the time of day', () => {
+    assert.match(findViolation([festival], '2030-06-15T23:00:00Z', '2030-06-16T09:00:00Z'), /minimum stay/);
+  });
+
+  it('closes arrival days', () => {
+    const closed = { name: 'Gala', startDate: '2030-06-20', endDate: '2030-06-20', closedToArrival: true };
+
+    assert.strictEqual(
+      findViolation([closed], '2030-06-20', '2030-06-22'),
+      'Stay violates "Gala": no arrivals on 2030-06-20'
+    );
+    assert.strictEqual(findViolation([closed], '2030-06-19', '2030-06-22'), null);
+  });
+
+  it('closes departure days', () => {
+    const closed = { name: 'Gala', startDate: '2030-06-20', endDate: '2030-06-20', closedToDeparture: true };
+
+    assert.strictEqual(
+      findViolation([closed], '2030-06-18', '2030-06-20'),
+      'Stay violates "Gala": no departures on 2030-06-20'
+    );
+    assert.strictEqual(findViolation([closed], '2030-06-20', '2030-06-21'), null);
+  });
+
+  it('reports the first rule broken', () => {
+    const closed = { name: 'Gala', startDate: '2030-06-10', endDate: '2030-06-10', closedToArrival: true };
+
+    assert.match(findViolation([festival, closed], '2030-06-10', '2030-06-11'), /"Festival"/);
+  });
+
+  it('allows any stay without restrictions', () => {
+    assert.strictEqual(findViolation(undefined, '2030-06-10', '2030-06-11'), null);
+  });
+});
+
+describe('getRestrictionsForDate', () => {
+  it('keeps the strictest rules in force on a day', () => {
+    const weekend = { name: 'Weekend', startDate: '2030-06-14', endDate: '2030-06-16', minNights: 2, maxNights: 3, closedToDeparture: true };
+
+    assert.deepStrictEqual(getRestrictionsForDate([festival, weekend], new Date('2030-06-14T00:00:00Z')), {
+      names: ['Festival', 'Weekend'],
+      minNights: 3,
+      maxNights: 3,
+      closedToArrival: false,
+      closedToDeparture: true
+    });
+  });
+
+  it('returns null on days without restrictions', () => {
+    assert.strictEqual(getRestrictionsForDate([festival], new Date('2030-06-16T00:00:00Z')), null);
+  });
+});
\ No newline at end of file
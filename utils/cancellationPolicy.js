@@ -0,0 +1,115 @@
+/**
+ * Utility functions for applying hotel cancellation policies
+ */
+
+const { getNights } = require('./dateUtils');
+const { roundAmount } = require('./money');
+
+/**
+ * Calculate the penalty charged for a late cancellation
+ * @param {Object} booking - Booking document
+ * @param {Object} policy - Hotel cancellation policy
+ * @returns {Number} Penalty amount
+ */
+const calculatePenalty = (booking, policy) => {
+  switch (policy.latePenalty) {
+    case 'first_night': {
+      if (booking.nightlyRates && booking.nightlyRates.length) {
+        return booking.nightlyRates[0].rate;
+      }
+      const nights = getNights(booking.startDate, booking.endDate).length || 1;
+      return booking.totalPrice / nights;
+    }
+    case 'percentage':
+      return booking.totalPrice * (policy.penaltyPercentage || 0) / 100;
+    case 'full':
+    default:
+      return booking.totalPrice;
+  }
+};
+
+/**
+ * Work out how much a booking's gateway transactions took from the guest
+ *
+ * Used for bookings made before payments were itemised, which only have the
+ * transaction log to go on.
+ * @param {Array} transactions - Booking payment transactions
+ * @returns {Number} Amount captured less amount refunded; 0 if nothing was captured
+ */
+exports.getCapturedAmount = (transactions = []) => {
+  const total = (type) => transactions
+    .filter(transaction => transaction.type === type && transaction.status === 'succeeded')
+    .reduce((sum, transaction) => sum + (transaction.amount || 0), 0);
+
+  return roundAmount(Math.max(total('capture') - total('refund'), 0));
+};
+
+/**
+ * Combine a hotel's cancellation policy with a rate plan's overrides
+ * @param {Object} hotelPolicy - Hotel cancellation policy
+ * @param {Object} planPolicy - Rate plan policy; only the fields it sets apply
+ * @returns {Object} Effective cancellation policy
+ */
+exports.mergePolicies = (hotelPolicy = {}, planPolicy = {}) => {
+  const policy = { ...(hotelPolicy && hotelPolicy.toObject ? hotelPolicy.toObject() : hotelPolicy) };
+  const overrides = planPolicy && planPolicy.toObject ? planPolicy.toObject() : (planPolicy || {});
+
+  Object.keys(overrides).forEach(key => {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      policy[key] = overrides[key];
+    }
+  });
+
+  return policy;
+};
+
+/**
+ * Work out how much of a booking is refunded when it is cancelled
+ * @param {Object} booking - Booking document
+ * @param {Object} policy - Hotel cancellation policy
+ * @param {Date} cancelledAt - Time of cancellation
+ * @returns {Object} Refund breakdown
+ *
+ * @example
+ * // Free until 48 hours before check-in, first night charged afterwards
+ * calculateRefund(booking, { isRefundable: true, freeCancellationHours: 48, latePenalty: 'first_night' })
+ * // => { totalPrice: 600, amountPaid: 600, penaltyAmount: 150, refundAmount: 450, isFreeCancellation: false, ... }
+ */
+exports.calculateRefund = (booking, policy, cancelledAt = new Date()) => {
+  policy = policy || {};
+  const freeCancellationHours = policy.freeCancellationHours ?? 48;
+  const freeCancellationDeadline = new Date(
+    new Date(booking.startDate).getTime() - freeCancellationHours * 60 * 60 * 1000
+  );
+
+  let penaltyAmount;
+  let isFreeCancellation = false;
+
+  if (policy.isRefundable === false) {
+    penaltyAmount = booking.totalPrice;
+  } else if (cancelledAt <= freeCancellationDeadline) {
+    penaltyAmount = 0;
+    isFreeCancellation = true;
+  } else {
+    penaltyAmount = Math.min(calculatePenalty(booking, policy), booking.totalPrice);
+  }
+
+  penaltyAmount = roundAmount(penaltyAmount);
+
+  // Only money actually taken can be given back, e.g. just part of a deposit.
+  // Bookings made before payments were itemised have only their transaction
+  // log, and nothing to give back if they were never charged.
+  const paymentInfo = booking.paymentInfo || {};
+  const amountPaid = paymentInfo.payments && paymentInfo.payments.length
+    ? paymentInfo.amountPaid
+    : exports.getCapturedAmount(paymentInfo.transactions);
+
+  return {
+    totalPrice: booking.totalPrice,
+    amountPaid,
+    penaltyAmount,
+    refundAmount: roundAmount(Math.max(amountPaid - penaltyAmount, 0)),
+    isFreeCancellation,
+    freeCancellationDeadline: policy.isRefundable === false ? null : freeCancellationDeadline
+  };
+};
\ No newline at end of file
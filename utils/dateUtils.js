@@ -82,4 +82,75 @@ exports.formatDate = (date) => {
   const day = String(d.getDate()).padStart(2, '0');
   
   return `${year}-${month}-${day}`;
+};
+
+/**
+ * Normalize a date to midnight UTC
+ * @param {String|Date} date - Date to normalize
+ * @returns {Date} Date at 00:00:00.000 UTC of the same calendar day
+ */
+exports.startOfUTCDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * List every night of a stay, check-out day excluded
+ * @param {String|Date} startDate - Check-in date
+ * @param {String|Date} endDate - Check-out date
+ * @returns {Array<Date>} One UTC-midnight date per night
+ */
+exports.getNights = (startDate, endDate) => {
+  const nights = [];
+  const current = exports.startOfUTCDay(startDate);
+  const end = exports.startOfUTCDay(endDate);
+
+  while (current < end) {
+    nights.push(new Date(current));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return nights;
+};
+
+/**
+ * Check that stay dates are valid, at least one night long and not in the past
+ * @param {String|Date} startDate - Check-in date
+ * @param {String|Date} endDate - Check-out date
+ * @returns {String|null} Reason the dates can't be booked, or null if they can
+ */
+exports.getStayDateError = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (isNaN(start) || isNaN(end) || exports.startOfUTCDay(start) >= exports.startOfUTCDay(end)) {
+    return 'Check-out date must be after check-in date';
+  }
+
+  if (start < exports.startOfUTCDay(new Date())) {
+    return 'Check-in date cannot be in the past';
+  }
+
+  return null;
+};
+
+/**
+ * Get the first day of a calendar month and of the month after it
+ * @param {String} month - Month as YYYY-MM
+ * @returns {Object|null} { startDate, endDate } at UTC midnight, or null if the month is invalid
+ */
+exports.getMonthRange = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    return null;
+  }
+
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+
+  return {
+    startDate: new Date(Date.UTC(year, monthIndex, 1)),
+    endDate: new Date(Date.UTC(year, monthIndex + 1, 1))
+  };
 };
\ No newline at end of file
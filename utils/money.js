@@ -0,0 +1,10 @@
+/**
+ * Utility functions for money amounts
+ */
+
+/**
+ * Round an amount to cents
+ * @param {Number} amount - Amount to round
+ * @returns {Number} Rounded amount
+ */
+exports.roundAmount = (amount) => Math.round(amount * 100) / 100;
\ No newline at end of file
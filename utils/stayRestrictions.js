@@ -0,0 +1,84 @@
+/**
+ * Utility functions for checking stays against stay restrictions
+ */
+
+const { getNights, startOfUTCDay } = require('./dateUtils');
+
+/**
+ * Check whether a date falls inside a restriction's range
+ * @param {Object} restriction - Stay restriction
+ * @param {Date} date - Date at UTC midnight
+ * @returns {Boolean} True if the restriction covers the date
+ */
+const covers = (restriction, date) => {
+  return startOfUTCDay(restriction.startDate) <= date &&
+    startOfUTCDay(restriction.endDate) >= date;
+};
+
+/**
+ * Find the first restriction a stay breaks
+ * @param {Array} restrictions - Stay restrictions to check
+ * @param {String|Date} startDate - Check-in date
+ * @param {String|Date} endDate - Check-out date
+ * @returns {String|null} Message naming the violated rule, or null
+ *
+ * @example
+ * findViolation([{ name: 'New Year', startDate: '2023-12-30', endDate: '2024-01-01', minNights: 3 }], '2023-12-31', '2024-01-01')
+ * // => 'Stay violates "New Year": minimum stay is 3 nights'
+ */
+exports.findViolation = (restrictions, startDate, endDate) => {
+  const arrival = startOfUTCDay(startDate);
+  const departure = startOfUTCDay(endDate);
+  const nights = getNights(startDate, endDate).length;
+
+  for (const restriction of restrictions || []) {
+    const rule = `Stay violates "${restriction.name}"`;
+
+    if (covers(restriction, arrival)) {
+      if (restriction.closedToArrival) {
+        return `${rule}: no arrivals on ${arrival.toISOString().slice(0, 10)}`;
+      }
+      if (restriction.minNights && nights < restriction.minNights) {
+        return `${rule}: minimum stay is ${restriction.minNights} nights`;
+      }
+      if (restriction.maxNights && nights > restriction.maxNights) {
+        return `${rule}: maximum stay is ${restriction.maxNights} nights`;
+      }
+    }
+
+    if (restriction.closedToDeparture && covers(restriction, departure)) {
+      return `${rule}: no departures on ${departure.toISOString().slice(0, 10)}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Combine the restrictions that apply to a single date
+ * @param {Array} restrictions - Stay restrictions to check
+ * @param {Date} date - Date at UTC midnight
+ * @returns {Object|null} Strictest rules in force on the date, or null if none apply
+ *
+ * @example
+ * getRestrictionsForDate([{ name: 'New Year', startDate: '2023-12-30', endDate: '2024-01-01', minNights: 3 }], new Date('2023-12-31'))
+ * // => { names: ['New Year'], minNights: 3, maxNights: null, closedToArrival: false, closedToDeparture: false }
+ */
+exports.getRestrictionsForDate = (restrictions, date) => {
+  const matching = (restrictions || []).filter(restriction => covers(restriction, date));
+
+  if (!matching.length) {
+    return null;
+  }
+
+  const minNights = matching.map(restriction => restriction.minNights).filter(Boolean);
+  const maxNights = matching.map(restriction => restriction.maxNights).filter(Boolean);
+
+  return {
+    names: matching.map(restriction => restriction.name),
+    minNights: minNights.length ? Math.max(...minNights) : null,
+    maxNights: maxNights.length ? Math.min(...maxNights) : null,
+    closedToArrival: matching.some(restriction => restriction.closedToArrival),
+    closedToDeparture: matching.some(restriction => restriction.closedToDeparture)
+  };
+};
\ No newline at end of file